@@ -0,0 +1,212 @@
+/**
+ * Landmark alignment ("henge") finder.
+ * Finds where to stand, and on which days, for the sun to set (or rise) right
+ * behind a landmark: the landmark's bearing from the observer must match the sun's
+ * azimuth at the moment the sun's centre sinks to the landmark's apparent top,
+ * and the terrain in between must leave that top in sight.
+ */
+import { getSunData, getSunPath } from './solar.js';
+import { plannerDates } from './planner.js';
+import { zonedTime } from './timezone.js';
+import { haversine, bearing, curvatureDrop, destinationPoint, DEFAULT_REFRACTION, SUN_HORIZON_OFFSET, RAD2DEG } from './utils.js';
+
+const ALIGNMENT_DAYS = 365;
+const ALIGNMENT_TOLERANCE = 0.5;    // degrees of azimuth error allowed, about the sun's diameter
+const TRACK_STEP = 4;               // minutes between samples of a day's sun track
+const SUN_SEMIDIAMETER = 0.267;     // degrees; SUN_HORIZON_OFFSET less this is the refraction lift
+const MIN_OBSERVER_DISTANCE = 500;  // meters; closer than this the landmark dwarfs the sun
+const SIGHT_SPACING = 50;           // meters between terrain samples on a sight line
+const MAX_SIGHT_SAMPLES = 80;       // per sight line; longer lines are sampled more sparsely
+const LANDMARK_CLEARANCE = 30;      // meters around the landmark left out of its own sight line
+
+/**
+ * Signed difference a - b between two bearings, in (-180, 180].
+ */
+function angleDiff(a, b) {
+  return 180 - (((180 - (a - b)) % 360) + 360) % 360;
+}
+
+/**
+ * Elevation angle of a point seen from an eye, with refraction-adjusted curvature.
+ */
+function sightAngle(eyeElevation, elevation, distance, refraction) {
+  return Math.atan2(elevation - curvatureDrop(distance, refraction) - eyeElevation, distance) * RAD2DEG;
+}
+
+/**
+ * Bearing, distance and apparent elevation angle of a landmark's top from an observer.
+ * The eye sits observerHeight above the ground (observer.observerHeight wins over the option).
+ * @param {object} observer - {lat, lng, elevation, observerHeight?}
+ * @param {object} landmark - {lat, lng, elevation, height?} height of a tower or mast above the ground
+ * @param {object} options - {refraction, observerHeight}
+ * @returns {{bearing, distance, angle}} angle in degrees above horizontal
+ */
+export function landmarkSight(observer, landmark, options = {}) {
+  const { refraction = DEFAULT_REFRACTION } = options;
+  const observerHeight = observer.observerHeight ?? options.observerHeight ?? 0;
+  const distance = haversine(observer.lat, observer.lng, landmark.lat, landmark.lng);
+
+  return {
+    bearing: bearing(observer.lat, observer.lng, landmark.lat, landmark.lng),
+    distance,
+    angle: sightAngle(observer.elevation + observerHeight, landmark.elevation + (landmark.height || 0), distance, refraction)
+  };
+}
+
+/**
+ * The sun's half-day track from solar noon toward its lowest point, after noon for
+ * sunset and before it (sampled backward) for sunrise, so altitude falls along it.
+ * @returns {Array<{time, azimuth, altitude}>}
+ */
+export function sunTrack(lat, lng, date, mode = 'sunset', stepMinutes = TRACK_STEP) {
+  const noon = getSunData(lat, lng, date, mode).solarNoon;
+  const halfDay = 12 * 3600000;
+
+  return mode === 'sunrise'
+    ? getSunPath(lat, lng, new Date(noon.getTime() - halfDay), noon, stepMinutes).reverse()
+    : getSunPath(lat, lng, noon, new Date(noon.getTime() + halfDay), stepMinutes);
+}
+
+/**
+ * When, and at which azimuth, the sun's centre passes a geometric altitude on a track.
+ * @param {Array} track - from sunTrack(), altitude falling
+ * @returns {{time, azimuth}|null} null if the sun never reaches that altitude on the track
+ */
+export function sunAtAltitude(track, altitude) {
+  if (track.length < 2 || altitude > track[0].altitude || altitude < track[track.length - 1].altitude) return null;
+
+  let lo = 0;
+  let hi = track.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (track[mid].altitude >= altitude) lo = mid;
+    else hi = mid;
+  }
+
+  const a = track[lo];
+  const b = track[hi];
+  const t = a.altitude === b.altitude ? 0 : (a.altitude - altitude) / (a.altitude - b.altitude);
+  return {
+    time: new Date(a.time.getTime() + t * (b.time.getTime() - a.time.getTime())),
+    azimuth: (a.azimuth + t * angleDiff(b.azimuth, a.azimuth) + 360) % 360
+  };
+}
+
+/**
+ * Find every observer and day on which the sun's centre meets the landmark's top
+ * within the tolerance. Sun tracks are computed once at the landmark; a few km away
+ * they differ by far less than the tolerance.
+ * @param {Array} observers - [{lat, lng, elevation, observerHeight?}]
+ * @param {object} landmark - {lat, lng, elevation, height?}
+ * @param {object} options - {startDate, days, mode, tolerance, minDistance, timeZone, refraction, observerHeight}
+ * @returns {Array} matches [{date, time, observer, bearing, distance, landmarkAngle, sunAzimuth, error}]
+ *   with date as YYYY-MM-DD on the location's clock and error the azimuth error in degrees
+ */
+export function findAlignments(observers, landmark, options = {}) {
+  const {
+    startDate = new Date(),
+    days = ALIGNMENT_DAYS,
+    mode = 'sunset',
+    tolerance = ALIGNMENT_TOLERANCE,
+    minDistance = MIN_OBSERVER_DISTANCE,
+    timeZone = null
+  } = options;
+
+  const sights = observers
+    .map(observer => ({ observer, ...landmarkSight(observer, landmark, options) }))
+    .filter(s => s.distance >= minDistance);
+  // The sun's centre appears lifted by refraction, so it meets the top at a lower geometric altitude
+  const refractionLift = SUN_HORIZON_OFFSET - SUN_SEMIDIAMETER;
+
+  const matches = [];
+  for (const date of plannerDates(startDate, days, timeZone)) {
+    const track = sunTrack(landmark.lat, landmark.lng, zonedTime(date, 12, timeZone), mode);
+
+    for (const { observer, bearing: sightBearing, distance, angle } of sights) {
+      const sun = sunAtAltitude(track, angle - refractionLift);
+      if (!sun) continue;
+
+      const error = Math.abs(angleDiff(sun.azimuth, sightBearing));
+      if (error <= tolerance) {
+        matches.push({
+          date,
+          time: sun.time,
+          observer,
+          bearing: sightBearing,
+          distance,
+          landmarkAngle: angle,
+          sunAzimuth: sun.azimuth,
+          error
+        });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * The best matches of each day, lowest error first, days in date order.
+ * @param {number} perDay - matches kept per day
+ */
+export function bestAlignments(matches, perDay = 1) {
+  const byDate = new Map();
+  for (const match of matches) {
+    if (!byDate.has(match.date)) byDate.set(match.date, []);
+    byDate.get(match.date).push(match);
+  }
+
+  return [...byDate.keys()].sort().flatMap(date =>
+    byDate.get(date).sort((a, b) => a.error - b.error).slice(0, perDay)
+  );
+}
+
+/**
+ * Points between an observer and a landmark to sample the terrain of the sight line at.
+ * @returns {Array<{lat, lng, distance}>} distance from the observer, landmark surroundings left out
+ */
+export function sightLinePoints(observer, landmark) {
+  const total = haversine(observer.lat, observer.lng, landmark.lat, landmark.lng);
+  const toward = bearing(observer.lat, observer.lng, landmark.lat, landmark.lng);
+  const spacing = Math.max(SIGHT_SPACING, total / MAX_SIGHT_SAMPLES);
+
+  const points = [];
+  for (let distance = spacing; distance < total - LANDMARK_CLEARANCE; distance += spacing) {
+    points.push({ ...destinationPoint(observer.lat, observer.lng, toward, distance), distance });
+  }
+  return points;
+}
+
+/**
+ * Whether the landmark's top stands clear of the terrain on its sight line.
+ * @param {Array} profile - [{distance, elevation}] samples from sightLinePoints()
+ * @param {object} options - {refraction, observerHeight} as for landmarkSight()
+ */
+export function isLandmarkVisible(observer, landmark, profile, options = {}) {
+  const { refraction = DEFAULT_REFRACTION } = options;
+  const eye = observer.elevation + (observer.observerHeight ?? options.observerHeight ?? 0);
+  const { angle } = landmarkSight(observer, landmark, options);
+
+  return profile.every(p => sightAngle(eye, p.elevation, p.distance, refraction) < angle);
+}
+
+/**
+ * Keep the matches whose observer can see the landmark, sampling all sight lines in one batch.
+ * @param {function} fetchProfile - async (points) => points with elevation; may drop points
+ *   without elevation, but must keep each point's other properties
+ * @param {object} options - {refraction, observerHeight} as for landmarkSight()
+ */
+export async function filterVisible(matches, landmark, fetchProfile, options = {}) {
+  const observers = [...new Set(matches.map(m => m.observer))];
+  const points = observers.flatMap((observer, i) =>
+    sightLinePoints(observer, landmark).map(p => ({ ...p, sight: i }))
+  );
+  const sampled = await fetchProfile(points);
+
+  const profiles = observers.map(() => []);
+  for (const { sight, ...point } of sampled) profiles[sight].push(point);
+
+  const visible = new Set(observers.filter((observer, i) =>
+    isLandmarkVisible(observer, landmark, profiles[i], options)
+  ));
+  return matches.filter(m => visible.has(m.observer));
+}
@@ -0,0 +1,131 @@
+/**
+ * Elevation requests routed through the elevation worker, so tile downloads and
+ * PNG decoding never block the map. Mirrors the elevation.js API.
+ * Where module workers or OffscreenCanvas are missing, or the worker fails,
+ * requests run through elevation.js on the main thread instead (the DOM decode path).
+ */
+import * as local from './elevation.js';
+import { fetchRayGrid as fetchRayGridLocally } from './viewshed-core.js';
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+// Request id -> {resolve, reject, onProgress, runLocally}
+const pending = new Map();
+
+/** Start (once) the elevation worker, or return null to run locally. */
+function getWorker() {
+  if (worker) return worker;
+  if (workerFailed || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    return null;
+  }
+
+  try {
+    worker = new Worker(
+      new URL('./elevation-worker.js', import.meta.url),
+      { type: 'module' }
+    );
+  } catch {
+    workerFailed = true;
+    return null;
+  }
+
+  worker.onmessage = (event) => {
+    const msg = event.data;
+    const request = pending.get(msg.id);
+    if (!request) return;
+
+    if (msg.type === 'progress') {
+      if (request.onProgress) request.onProgress(msg.completed, msg.total);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type === 'result') request.resolve(msg.result);
+    else request.reject(new Error(msg.message));
+  };
+
+  worker.onerror = () => {
+    console.warn('Elevation worker failed, falling back to main thread');
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+    // Replay whatever was in flight on the main thread
+    for (const request of pending.values()) {
+      request.runLocally().then(request.resolve, request.reject);
+    }
+    pending.clear();
+  };
+
+  worker.postMessage({ type: 'provider', provider: local.getElevationProvider() });
+  return worker;
+}
+
+/**
+ * Send a request to the worker, or run it locally without one.
+ * Aborting the signal rejects at once and tells the worker to stop.
+ */
+function request(message, runLocally, onProgress, signal) {
+  const w = getWorker();
+  if (!w) return runLocally();
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pending.set(id, { resolve, reject, onProgress, runLocally });
+    w.postMessage({ id, ...message });
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (!pending.delete(id)) return;
+        w.postMessage({ type: 'abort', id });
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Fetch elevations for an array of {lat, lng, zoom?} points.
+ * Same contract as elevation.js' fetchElevations().
+ */
+export function fetchElevations(points, onProgress, options = {}) {
+  // Signals can't be posted; the worker gets its own, aborted by message
+  const { signal, ...workerOptions } = options;
+  return request(
+    { type: 'fetch', points, options: workerOptions },
+    () => local.fetchElevations(points, onProgress, options),
+    onProgress,
+    signal
+  );
+}
+
+/**
+ * Plan and load the elevation grid for rays cast along bearings from origins.
+ * @param {function} onProgress - optional callback(completed, total) in tiles
+ * @param {object} options - {signal} to cancel loading
+ * @returns {Promise<{grid, bands}>} see viewshed-core.js' fetchRayGrid()
+ */
+export function fetchRayGrid(origins, bearings, onProgress, options = {}) {
+  return request(
+    { type: 'rayGrid', origins, bearings },
+    () => fetchRayGridLocally(origins, bearings, onProgress, { signal: options.signal }),
+    onProgress,
+    options.signal
+  );
+}
+
+/**
+ * Switch the elevation provider for the worker and the main-thread fallback.
+ */
+export function setElevationProvider(provider) {
+  local.setElevationProvider(provider);
+  if (worker) worker.postMessage({ type: 'provider', provider });
+}
+
+/**
+ * Clear every elevation cache, including terrain tiles persisted across sessions.
+ */
+export async function clearElevationCache() {
+  await local.clearElevationCache();
+  if (worker) await request({ type: 'clear' }, () => Promise.resolve());
+}
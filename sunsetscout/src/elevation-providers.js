@@ -0,0 +1,150 @@
+/**
+ * Elevation providers: where terrain heights come from.
+ * A provider is a plain, serializable descriptor, either
+ *   - tiles:  a {z}/{x}/{y} URL template of RGB-encoded PNG tiles plus the encoding name, or
+ *   - raster: a DEM grid held in memory (e.g. parsed from an ESRI ASCII grid file),
+ *             optionally backed by a tile provider outside its extent.
+ */
+
+/** Tile encodings: RGB pixel -> elevation in meters. */
+export const ENCODINGS = {
+  // elevation = (R * 256 + G + B / 256) - 32768
+  terrarium: (r, g, b) => (r * 256 + g + b / 256) - 32768,
+  // elevation = -10000 + (R * 65536 + G * 256 + B) * 0.1
+  'terrain-rgb': (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1
+};
+
+export const TERRARIUM_URL = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
+const MAPBOX_URL = 'https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token={token}';
+
+/**
+ * A provider of RGB-encoded elevation tiles.
+ * @param {object} options - {id, label, url, encoding, maxZoom}
+ */
+export function tileProvider({ id, label, url, encoding = 'terrarium', maxZoom = 15 }) {
+  if (!ENCODINGS[encoding]) throw new Error(`Unknown tile encoding: ${encoding}`);
+  if (!/\{z\}/.test(url) || !/\{x\}/.test(url) || !/\{y\}/.test(url)) {
+    throw new Error('Tile URL template needs {z}, {x} and {y}');
+  }
+  return { type: 'tiles', id: id || url, label: label || url, url, encoding, maxZoom };
+}
+
+/** AWS Terrain Tiles (Terrarium), public domain and keyless. */
+export function terrariumProvider() {
+  return tileProvider({
+    id: 'terrarium',
+    label: 'AWS Terrain Tiles',
+    url: TERRARIUM_URL,
+    encoding: 'terrarium',
+    maxZoom: 15
+  });
+}
+
+/** Mapbox Terrain-RGB, which needs an access token. */
+export function mapboxProvider(token) {
+  if (!token) throw new Error('Mapbox Terrain-RGB needs an access token');
+  return tileProvider({
+    id: 'mapbox-terrain-rgb',
+    label: 'Mapbox Terrain-RGB',
+    url: MAPBOX_URL.replace('{token}', encodeURIComponent(token)),
+    encoding: 'terrain-rgb',
+    maxZoom: 15
+  });
+}
+
+/**
+ * A DEM raster held in memory.
+ * @param {object} raster - from parseAsciiGrid()
+ * @param {object} options - {label, fallback} fallback tile provider outside the raster
+ */
+export function rasterProvider(raster, { label = 'Local DEM', fallback = null } = {}) {
+  return { type: 'raster', id: `raster:${label}`, label, raster, fallback };
+}
+
+/** Fill a tile provider's URL template. */
+export function tileUrl(provider, tileX, tileY, zoom) {
+  return provider.url
+    .replace('{z}', zoom)
+    .replace('{x}', tileX)
+    .replace('{y}', tileY);
+}
+
+/**
+ * Parse an ESRI ASCII grid (.asc) in geographic coordinates (WGS84 degrees).
+ * Accepts corner or center registration and GDAL's dx/dy for non-square cells.
+ * @returns {{ncols, nrows, west, north, dx, dy, nodata, data: Float32Array}}
+ *   west/north are the outer edges of the grid; data is row-major from the north
+ */
+export function parseAsciiGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let i = 0;
+  while (i < tokens.length && /^[a-z_]+$/i.test(tokens[i])) {
+    header[tokens[i].toLowerCase()] = parseFloat(tokens[i + 1]);
+    i += 2;
+  }
+
+  const { ncols, nrows } = header;
+  const dx = header.dx ?? header.cellsize;
+  const dy = header.dy ?? header.cellsize;
+  if (!ncols || !nrows || !dx || !dy) {
+    throw new Error('ASCII grid header needs ncols, nrows and cellsize');
+  }
+
+  const west = header.xllcorner ?? header.xllcenter - dx / 2;
+  const south = header.yllcorner ?? header.yllcenter - dy / 2;
+  const east = west + ncols * dx;
+  const north = south + nrows * dy;
+  if (!(west >= -180 && east <= 180 && south >= -90 && north <= 90)) {
+    throw new Error('ASCII grid must be in geographic (lat/lng) coordinates');
+  }
+
+  const count = ncols * nrows;
+  if (tokens.length - i < count) {
+    throw new Error(`ASCII grid has ${tokens.length - i} values, expected ${count}`);
+  }
+
+  const data = new Float32Array(count);
+  for (let k = 0; k < count; k++) data[k] = parseFloat(tokens[i + k]);
+
+  return { ncols, nrows, west, north, dx, dy, nodata: header.nodata_value ?? null, data };
+}
+
+/**
+ * Bilinearly sample a raster at a point.
+ * Points within half a cell of the edge take the edge cells; nodata cells are skipped.
+ * @returns {number|null} elevation, or null outside the raster or over nodata
+ */
+export function sampleRaster(raster, lat, lng) {
+  const { ncols, nrows, west, north, dx, dy, nodata, data } = raster;
+  // Cells hold float32, so a nodata value like -3.4e38 only matches once rounded the same way
+  const missing = nodata == null ? NaN : Math.fround(nodata);
+  if (lng < west || lng > west + ncols * dx || lat > north || lat < north - nrows * dy) {
+    return null;
+  }
+
+  // Fractional cell coordinates, with integers on cell centers
+  const fx = Math.max(0, Math.min(ncols - 1, (lng - west) / dx - 0.5));
+  const fy = Math.max(0, Math.min(nrows - 1, (north - lat) / dy - 0.5));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(ncols - 1, x0 + 1);
+  const y1 = Math.min(nrows - 1, y0 + 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  let sum = 0;
+  let weights = 0;
+  for (const [x, y, weight] of [
+    [x0, y0, (1 - tx) * (1 - ty)],
+    [x1, y0, tx * (1 - ty)],
+    [x0, y1, (1 - tx) * ty],
+    [x1, y1, tx * ty]
+  ]) {
+    const value = data[y * ncols + x];
+    if (weight === 0 || value === missing || isNaN(value)) continue;
+    sum += value * weight;
+    weights += weight;
+  }
+  return weights > 0 ? sum / weights : null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Web Worker that downloads and decodes terrain tiles off the UI thread.
+ * Runs elevation.js as-is: fetch + createImageBitmap + OffscreenCanvas decode
+ * tiles here, and the persistent tile store is shared through IndexedDB.
+ * Requests carry an id that is echoed on their progress, result and error messages;
+ * {type: 'abort', id} cancels one.
+ */
+import { fetchElevations, setElevationProvider, clearElevationCache } from './elevation.js';
+import { fetchRayGrid } from './viewshed-core.js';
+
+// Request id -> AbortController for requests in flight
+const controllers = new Map();
+
+self.onmessage = async function(event) {
+  const { id, type } = event.data;
+
+  if (type === 'provider') {
+    setElevationProvider(event.data.provider);
+    return;
+  }
+  if (type === 'abort') {
+    const controller = controllers.get(id);
+    if (controller) controller.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  controllers.set(id, controller);
+
+  try {
+    let result = null;
+    let transfer = [];
+    if (type === 'fetch') {
+      result = await fetchElevations(event.data.points, (completed, total) => {
+        self.postMessage({ id, type: 'progress', completed, total });
+      }, { ...event.data.options, signal });
+    } else if (type === 'rayGrid') {
+      result = await fetchRayGrid(event.data.origins, event.data.bearings, (completed, total) => {
+        self.postMessage({ id, type: 'progress', completed, total });
+      }, { signal });
+      // Hand the grid over without copying unless it is already shared
+      if (result.grid.data.buffer instanceof ArrayBuffer) transfer = [result.grid.data.buffer];
+    } else if (type === 'clear') {
+      await clearElevationCache();
+    }
+    self.postMessage({ id, type: 'result', result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  } finally {
+    controllers.delete(id);
+  }
+};
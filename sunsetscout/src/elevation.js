@@ -1,23 +1,30 @@
 /**
- * Elevation lookup using AWS Terrain Tiles (Terrarium format).
- * Loads PNG tiles where elevation is encoded in RGB values.
+ * Elevation lookup through a pluggable provider (see elevation-providers.js).
+ * The default is AWS Terrain Tiles: PNG tiles where elevation is encoded in RGB values.
  * ~15 tiles cover a 10km radius — orders of magnitude faster than per-point APIs.
- *
- * Tile source: Amazon/Mapzen open terrain data (public domain, no API key).
- * Terrarium encoding: elevation = (R * 256 + G + B / 256) - 32768
+ * Tile elevations are bilinearly interpolated between the four nearest pixel centers,
+ * pulling the neighbouring tile when a point sits on a tile border.
+ * A local DEM raster is sampled directly and falls back to tiles outside its extent.
+ * Free of DOM dependencies except the fallback decoder, so it also runs inside
+ * the elevation worker (see elevation-client.js).
  */
-// No external dependencies — all tile math is self-contained
+// All tile math is self-contained; downloaded tiles persist via the tile store
+import { getStoredTile, putStoredTile, clearTileStore } from './tile-store.js';
+import { ENCODINGS, terrariumProvider, tileUrl, sampleRaster } from './elevation-providers.js';
+import { abortable, isAbortError } from './utils.js';
 
-const TILE_URL = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
 const TILE_ZOOM = 12;
+const TILE_PIXELS = 256 * 256;
 
-// Cache: tile key -> ImageData
+let provider = terrariumProvider();
+
+// Cache: tile key -> {promise of ImageData, controller, waiters, settled}
 const tileImageCache = new Map();
-// Cache: coordinate key -> elevation
+// Cache: zoom + coordinate key -> elevation
 const elevationCache = new Map();
 
-function cacheKey(lat, lng) {
-  return `${lat.toFixed(5)},${lng.toFixed(5)}`;
+function cacheKey(lat, lng, zoom) {
+  return `${zoom}/${lat.toFixed(5)},${lng.toFixed(5)}`;
 }
 
 /** Convert lat/lng to tile x/y at a given zoom level. */
@@ -31,58 +38,179 @@ function getTileCoords(lat, lng, zoom) {
   return { tileX: x, tileY: y };
 }
 
-/** Convert lat/lng to pixel position within a specific tile. */
-function getPixelInTile(lat, lng, zoom, tileX, tileY) {
-  const n = 1 << zoom;
-  const px = Math.floor(((lng + 180) / 360 * n - tileX) * 256);
+/**
+ * Key of the terrain tile holding a point, e.g. to count the tiles a request will need.
+ */
+export function tileKey(lat, lng, zoom = TILE_ZOOM) {
+  const { tileX, tileY } = getTileCoords(lat, lng, zoom);
+  return `${zoom}/${tileX}/${tileY}`;
+}
+
+/**
+ * Global Web Mercator pixel coordinates of a point at a zoom level.
+ * Pixel (0, 0) is the top-left corner of tile 0/0; a tile spans 256 pixels.
+ */
+export function globalPixel(lat, lng, zoom) {
+  const size = (1 << zoom) * 256;
   const latRad = lat * Math.PI / 180;
-  const py = Math.floor(
-    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n - tileY) * 256
-  );
   return {
-    px: Math.max(0, Math.min(255, px)),
-    py: Math.max(0, Math.min(255, py))
+    x: ((lng + 180) / 360) * size,
+    y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * size
   };
 }
 
-/** Decode Terrarium RGB to elevation in meters. */
-function decodeTerrarium(r, g, b) {
-  return (r * 256 + g + b / 256) - 32768;
+/**
+ * The four pixels around a point with their bilinear weights.
+ * Pixel coordinates are global at the zoom level, so neighbours on the far side
+ * of a tile edge resolve to the adjacent tile (wrapping across the antimeridian).
+ * @returns {Array<{tileX, tileY, px, py, weight}>}
+ */
+export function bilinearTaps(lat, lng, zoom) {
+  const size = (1 << zoom) * 256;
+  const pixel = globalPixel(lat, lng, zoom);
+  // Shift by half a pixel so integer coordinates land on pixel centers
+  const gx = pixel.x - 0.5;
+  const gy = pixel.y - 0.5;
+  const x0 = Math.floor(gx);
+  const y0 = Math.floor(gy);
+  const tx = gx - x0;
+  const ty = gy - y0;
+
+  const taps = [];
+  for (const [dx, dy, weight] of [
+    [0, 0, (1 - tx) * (1 - ty)],
+    [1, 0, tx * (1 - ty)],
+    [0, 1, (1 - tx) * ty],
+    [1, 1, tx * ty]
+  ]) {
+    const x = ((x0 + dx) % size + size) % size;
+    const y = Math.max(0, Math.min(size - 1, y0 + dy));
+    taps.push({
+      tileX: Math.floor(x / 256),
+      tileY: Math.floor(y / 256),
+      px: x % 256,
+      py: y % 256,
+      weight
+    });
+  }
+  return taps;
+}
+
+/** The provider elevations are currently read from. */
+export function getElevationProvider() {
+  return provider;
+}
+
+/**
+ * Switch the elevation provider at runtime.
+ * In-memory caches are dropped; persisted tiles are keyed by provider and kept.
+ */
+export function setElevationProvider(next) {
+  provider = next;
+  elevationCache.clear();
+  tileImageCache.clear();
 }
 
-/** Load a terrain tile and return its ImageData. */
-function loadTileImage(tileX, tileY, zoom) {
-  const key = `${zoom}/${tileX}/${tileY}`;
-  if (tileImageCache.has(key)) return tileImageCache.get(key);
+/**
+ * Decode a tile PNG blob to ImageData.
+ * Uses createImageBitmap + OffscreenCanvas, which work inside workers;
+ * falls back to an <img> and a DOM canvas on the main thread.
+ */
+async function decodeTileBlob(blob, key) {
+  if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') {
+    return decodeTileBlobWithDom(blob, key);
+  }
 
-  const url = TILE_URL
-    .replace('{z}', zoom)
-    .replace('{x}', tileX)
-    .replace('{y}', tileY);
+  let bitmap;
+  try {
+    // Encoded elevations must reach us byte for byte: no color management, no premultiplying
+    bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+  } catch {
+    throw new Error(`Failed to decode tile ${key}`);
+  }
+  const canvas = new OffscreenCanvas(256, 256);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, 256, 256);
+  bitmap.close();
+  return ctx.getImageData(0, 0, 256, 256);
+}
 
-  const promise = new Promise((resolve, reject) => {
+/** Main-thread fallback decode through an <img> and a DOM canvas. */
+function decodeTileBlobWithDom(blob, key) {
+  return new Promise((resolve, reject) => {
+    const objectUrl = URL.createObjectURL(blob);
     const img = new Image();
-    img.crossOrigin = 'anonymous';
     img.onload = () => {
       const canvas = document.createElement('canvas');
       canvas.width = 256;
       canvas.height = 256;
       const ctx = canvas.getContext('2d');
       ctx.drawImage(img, 0, 0);
+      URL.revokeObjectURL(objectUrl);
       resolve(ctx.getImageData(0, 0, 256, 256));
     };
-    img.onerror = () => reject(new Error(`Failed to load tile ${key}`));
-    img.src = url;
+    img.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error(`Failed to decode tile ${key}`));
+    };
+    img.src = objectUrl;
   });
+}
+
+/**
+ * Load a terrain tile from a tile provider and return its ImageData.
+ * Reads the persistent tile store first and only downloads (then stores) on a miss.
+ * Concurrent requests share one download, which is aborted only once every
+ * request waiting on it has been cancelled through its signal.
+ */
+function loadTileImage(tiles, tileX, tileY, zoom, signal) {
+  const key = `${tiles.id}/${zoom}/${tileX}/${tileY}`;
+  let entry = tileImageCache.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    const url = tileUrl(tiles, tileX, tileY, zoom);
+    entry = { controller, waiters: 0, settled: false };
+    entry.promise = (async () => {
+      let blob = await getStoredTile(key);
+      if (!blob) {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Failed to load tile ${key}: HTTP ${response.status}`);
+        blob = await response.blob();
+        putStoredTile(key, blob);
+      }
+      return decodeTileBlob(blob, key);
+    })();
+
+    entry.promise.then(() => {
+      entry.settled = true;
+    }, () => {
+      entry.settled = true;
+      // Let a failed tile be retried by the next request
+      if (tileImageCache.get(key) === entry) tileImageCache.delete(key);
+    });
+    tileImageCache.set(key, entry);
+  }
+
+  if (!signal) {
+    entry.waiters = Infinity;
+    return entry.promise;
+  }
 
-  tileImageCache.set(key, promise);
-  return promise;
+  entry.waiters++;
+  signal.addEventListener('abort', () => {
+    if (--entry.waiters === 0 && !entry.settled) {
+      entry.controller.abort();
+      tileImageCache.delete(key);
+    }
+  }, { once: true });
+  return abortable(entry.promise, signal);
 }
 
 /** Read elevation from an ImageData at a pixel coordinate. */
-function readElevation(imageData, px, py) {
+function readElevation(imageData, px, py, decode) {
   const idx = (py * 256 + px) * 4;
-  return decodeTerrarium(
+  return decode(
     imageData.data[idx],
     imageData.data[idx + 1],
     imageData.data[idx + 2]
@@ -90,19 +218,24 @@ function readElevation(imageData, px, py) {
 }
 
 /**
- * Fetch elevations for an array of {lat, lng} points.
- * Loads terrain tiles from AWS, decodes elevation client-side.
+ * Fetch elevations for an array of {lat, lng} points from the current provider.
+ * A point may carry its own tile `zoom` (finer near a ray's origin, coarser far away),
+ * capped at the provider's maximum zoom.
  * Returns the same array with `elevation` property added.
- * @param {Array<{lat: number, lng: number}>} points
+ * @param {Array<{lat: number, lng: number, zoom?: number}>} points
  * @param {function} onProgress - optional callback(completed, total)
+ * @param {object} options - {zoom} tile zoom for points without their own (default 12),
+ *   {signal} to cancel the request
  */
-export async function fetchElevations(points, onProgress) {
+export async function fetchElevations(points, onProgress, options = {}) {
+  const { zoom: defaultZoom = TILE_ZOOM, signal } = options;
+  if (signal) signal.throwIfAborted();
   const results = new Array(points.length);
   const uncachedIndices = [];
 
   // Check point-level cache
   for (let i = 0; i < points.length; i++) {
-    const key = cacheKey(points[i].lat, points[i].lng);
+    const key = cacheKey(points[i].lat, points[i].lng, points[i].zoom ?? defaultZoom);
     if (elevationCache.has(key)) {
       results[i] = { ...points[i], elevation: elevationCache.get(key) };
     } else {
@@ -115,32 +248,62 @@ export async function fetchElevations(points, onProgress) {
     return results;
   }
 
+  // A local raster answers for the points it covers; the rest go to tiles
+  let tileIndices = uncachedIndices;
+  let rasterHits = 0;
+  if (provider.type === 'raster') {
+    tileIndices = [];
+    for (const idx of uncachedIndices) {
+      const pt = points[idx];
+      const elevation = sampleRaster(provider.raster, pt.lat, pt.lng);
+      if (elevation == null) {
+        tileIndices.push(idx);
+        continue;
+      }
+      elevationCache.set(cacheKey(pt.lat, pt.lng, pt.zoom ?? defaultZoom), elevation);
+      results[idx] = { ...pt, elevation };
+      rasterHits++;
+    }
+  }
+
+  const tiles = provider.type === 'raster' ? provider.fallback : provider;
+  if (!tiles) {
+    for (const idx of tileIndices) results[idx] = { ...points[idx], elevation: null };
+    if (onProgress) onProgress(points.length, points.length);
+    if (rasterHits === 0) throw new Error('No elevation data covers this area');
+    return results;
+  }
+
   // Determine which tiles we need and map points to tiles
   const tilesNeeded = new Map();
   const pointMappings = [];
 
-  for (const idx of uncachedIndices) {
+  for (const idx of tileIndices) {
     const pt = points[idx];
-    const { tileX, tileY } = getTileCoords(pt.lat, pt.lng, TILE_ZOOM);
-    const tileKey = `${TILE_ZOOM}/${tileX}/${tileY}`;
-    if (!tilesNeeded.has(tileKey)) {
-      tilesNeeded.set(tileKey, { tileX, tileY });
-    }
-    const { px, py } = getPixelInTile(pt.lat, pt.lng, TILE_ZOOM, tileX, tileY);
-    pointMappings.push({ idx, tileKey, px, py });
+    const zoom = pt.zoom ?? defaultZoom;
+    const tileZoom = Math.min(zoom, tiles.maxZoom);
+    const taps = bilinearTaps(pt.lat, pt.lng, tileZoom).filter(t => t.weight > 0).map(({ tileX, tileY, px, py, weight }) => {
+      const key = `${tileZoom}/${tileX}/${tileY}`;
+      if (!tilesNeeded.has(key)) {
+        tilesNeeded.set(key, { tileX, tileY, zoom: tileZoom });
+      }
+      return { tile: key, px, py, weight };
+    });
+    pointMappings.push({ idx, zoom, taps });
   }
 
-  if (onProgress) onProgress(0, points.length);
+  if (onProgress) onProgress(points.length - tileIndices.length, points.length);
 
   // Load all needed tiles in parallel
   const tileEntries = [...tilesNeeded.entries()];
   const tileDataMap = new Map();
 
-  const loadPromises = tileEntries.map(async ([key, { tileX, tileY }]) => {
+  const loadPromises = tileEntries.map(async ([key, { tileX, tileY, zoom }]) => {
     try {
-      const imageData = await loadTileImage(tileX, tileY, TILE_ZOOM);
+      const imageData = await loadTileImage(tiles, tileX, tileY, zoom, signal);
       tileDataMap.set(key, imageData);
     } catch (err) {
+      if (isAbortError(err)) throw err;
       console.warn(`Tile load failed for ${key}:`, err.message);
     }
   });
@@ -148,14 +311,24 @@ export async function fetchElevations(points, onProgress) {
   await Promise.all(loadPromises);
 
   // Look up elevation for each point from loaded tile data
-  let completed = points.length - uncachedIndices.length;
-  for (const { idx, tileKey, px, py } of pointMappings) {
+  const decode = ENCODINGS[tiles.encoding];
+  let completed = points.length - tileIndices.length;
+  for (const { idx, zoom, taps } of pointMappings) {
     const pt = points[idx];
-    const imageData = tileDataMap.get(tileKey);
 
-    if (imageData) {
-      const elevation = readElevation(imageData, px, py);
-      const key = cacheKey(pt.lat, pt.lng);
+    // Weighted blend of the neighbouring pixels whose tiles loaded
+    let sum = 0;
+    let weights = 0;
+    for (const { tile, px, py, weight } of taps) {
+      const imageData = tileDataMap.get(tile);
+      if (!imageData) continue;
+      sum += readElevation(imageData, px, py, decode) * weight;
+      weights += weight;
+    }
+
+    if (weights > 0) {
+      const elevation = sum / weights;
+      const key = cacheKey(pt.lat, pt.lng, zoom);
       elevationCache.set(key, elevation);
       results[idx] = { ...pt, elevation };
     } else {
@@ -171,34 +344,139 @@ export async function fetchElevations(points, onProgress) {
 
   if (onProgress) onProgress(points.length, points.length);
 
-  // If no tiles loaded at all, throw
-  if (tileDataMap.size === 0) {
+  // If no tiles loaded at all (and no raster covered anything), throw
+  if (tileDataMap.size === 0 && rasterHits === 0) {
     throw new Error('Failed to load any elevation tiles');
   }
 
   return results;
 }
 
+/** Whether a tile lies entirely inside a raster's extent. */
+function rasterCoversTile(raster, tileX, tileY, zoom) {
+  const n = 1 << zoom;
+  const lngAt = x => x / n * 360 - 180;
+  const latAt = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+  return lngAt(tileX) >= raster.west &&
+    lngAt(tileX + 1) <= raster.west + raster.ncols * raster.dx &&
+    latAt(tileY) <= raster.north &&
+    latAt(tileY + 1) >= raster.north - raster.nrows * raster.dy;
+}
+
+/** The tile a 'z/x/y' key loads as: itself, or its ancestor at the provider's maximum zoom. */
+function loadedTile(key, maxZoom) {
+  const [zoom, tileX, tileY] = key.split('/').map(Number);
+  const shift = Math.max(0, zoom - maxZoom);
+  return { zoom: zoom - shift, tileX: tileX >> shift, tileY: tileY >> shift };
+}
+
+/**
+ * Load terrain tiles into one elevation grid: decoded meters for every tile,
+ * packed in a single Float32Array that can be transferred to (or, when the page
+ * is cross-origin isolated, shared with) workers.
+ * Tiles finer than the provider's maximum zoom load as their ancestor, and with a
+ * local DEM only tiles reaching outside it come from the fallback provider.
+ * @param {Array<string>} keys - 'z/x/y' tile keys, e.g. from planRayTiles()
+ * @param {function} onProgress - optional callback(completed, total) in tiles
+ * @param {object} options - {signal} to cancel the request
+ * @returns {Promise<{maxZoom, index, data, raster}>} index maps tile key -> slot in data
+ */
+export async function fetchElevationGrid(keys, onProgress, options = {}) {
+  const { signal } = options;
+  if (signal) signal.throwIfAborted();
+  const raster = provider.type === 'raster' ? provider.raster : null;
+  const tiles = provider.type === 'raster' ? provider.fallback : provider;
+  const maxZoom = tiles ? tiles.maxZoom : 0;
+
+  const wanted = new Map();
+  if (tiles) {
+    for (const key of keys) {
+      const [zoom, tileX, tileY] = key.split('/').map(Number);
+      if (raster && rasterCoversTile(raster, tileX, tileY, zoom)) continue;
+      const tile = loadedTile(key, maxZoom);
+      wanted.set(`${tile.zoom}/${tile.tileX}/${tile.tileY}`, tile);
+    }
+  }
+
+  const bytes = wanted.size * TILE_PIXELS * 4;
+  const buffer = globalThis.crossOriginIsolated ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes);
+  const grid = { maxZoom, index: {}, data: new Float32Array(buffer), raster };
+  const decode = tiles && ENCODINGS[tiles.encoding];
+
+  let completed = 0;
+  if (onProgress) onProgress(0, wanted.size);
+
+  await Promise.all([...wanted].map(async ([key, { tileX, tileY, zoom }], slot) => {
+    try {
+      const { data } = await loadTileImage(tiles, tileX, tileY, zoom, signal);
+      const offset = slot * TILE_PIXELS;
+      for (let p = 0; p < TILE_PIXELS; p++) {
+        grid.data[offset + p] = decode(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+      }
+      grid.index[key] = slot;
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.warn(`Tile load failed for ${key}:`, err.message);
+    }
+    completed++;
+    if (onProgress) onProgress(completed, wanted.size);
+  }));
+
+  if (wanted.size > 0 && Object.keys(grid.index).length === 0 && !raster) {
+    throw new Error('Failed to load any elevation tiles');
+  }
+  return grid;
+}
+
 /**
- * Fetch elevations for a list of ray sample points.
- * Optimized for viewshed analysis — flat array in, flat array out.
+ * Copy the tiles of a grid that a set of tile keys reads into a grid of their own,
+ * e.g. one worker's share of a grid that can't be shared. Keys the grid has no
+ * tile for are skipped; the local DEM, if any, is kept.
+ * @param {Array<string>} keys - 'z/x/y' tile keys, as passed to fetchElevationGrid()
  */
-export async function fetchRayElevations(rayPoints) {
-  const allPoints = rayPoints.flat();
-  const elevated = await fetchElevations(allPoints);
-
-  let idx = 0;
-  return rayPoints.map(ray => {
-    const result = elevated.slice(idx, idx + ray.length);
-    idx += ray.length;
-    return result;
+export function subsetElevationGrid(grid, keys) {
+  const slots = new Map();
+  for (const key of keys) {
+    const { zoom, tileX, tileY } = loadedTile(key, grid.maxZoom);
+    const loaded = `${zoom}/${tileX}/${tileY}`;
+    if (grid.index[loaded] !== undefined) slots.set(loaded, grid.index[loaded]);
+  }
+
+  const subset = { maxZoom: grid.maxZoom, index: {}, data: new Float32Array(slots.size * TILE_PIXELS), raster: grid.raster };
+  [...slots].forEach(([key, slot], i) => {
+    subset.data.set(grid.data.subarray(slot * TILE_PIXELS, (slot + 1) * TILE_PIXELS), i * TILE_PIXELS);
+    subset.index[key] = i;
   });
+  return subset;
+}
+
+/**
+ * Bilinearly sample an elevation grid, preferring its local DEM where it has one.
+ * @returns {number|null} elevation, or null where no loaded data covers the point
+ */
+export function sampleElevationGrid(grid, lat, lng, zoom = TILE_ZOOM) {
+  if (grid.raster) {
+    const elevation = sampleRaster(grid.raster, lat, lng);
+    if (elevation != null) return elevation;
+  }
+
+  const z = Math.min(zoom, grid.maxZoom);
+  let sum = 0;
+  let weights = 0;
+  for (const { tileX, tileY, px, py, weight } of bilinearTaps(lat, lng, z)) {
+    const slot = grid.index[`${z}/${tileX}/${tileY}`];
+    if (weight === 0 || slot === undefined) continue;
+    sum += grid.data[slot * TILE_PIXELS + py * 256 + px] * weight;
+    weights += weight;
+  }
+  return weights > 0 ? sum / weights : null;
 }
 
 /**
- * Clear the elevation cache.
+ * Clear the elevation cache, including terrain tiles persisted across sessions.
  */
-export function clearElevationCache() {
+export async function clearElevationCache() {
   elevationCache.clear();
   tileImageCache.clear();
+  await clearTileStore();
 }
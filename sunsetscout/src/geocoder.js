@@ -21,8 +21,9 @@ async function rateLimitWait() {
 /**
  * Geocode a location string to lat/lng candidates.
  * Returns array of {lat, lng, displayName, type, importance}.
+ * @param {object} options - {signal} to cancel the request
  */
-export async function geocode(query) {
+export async function geocode(query, options = {}) {
   await rateLimitWait();
 
   const params = new URLSearchParams({
@@ -33,6 +34,7 @@ export async function geocode(query) {
   });
 
   const response = await fetchWithRetry(`${NOMINATIM_URL}?${params}`, {
+    signal: options.signal,
     headers: {
       'User-Agent': 'SunsetScout/1.0 (sunset-viewpoint-finder)',
       'Accept': 'application/json'
@@ -0,0 +1,206 @@
+/**
+ * 360° horizon profile for a single viewpoint.
+ * Casts a ray every degree, finds the skyline angle along each, and renders the
+ * silhouette as an SVG panorama with the day's sun path (or, in the moon modes,
+ * the moon's) overlaid.
+ */
+import { computeObstruction, castRay } from './viewshed.js';
+import { fetchRayGrid } from './elevation-client.js';
+import { sampleElevationGrid } from './elevation.js';
+import { getSunData, getSunPath, getSunAzimuth, getSunAltitude } from './solar.js';
+import { getMoonPosition } from './lunar.js';
+import { formatTime } from './utils.js';
+
+const PROFILE_STEP = 1;          // degrees between rays
+const GOLDEN_HOUR_ALTITUDE = 6;  // sun below this altitude is golden hour (suncalc convention)
+const MOON_PATH_FLOOR = -5;      // degrees; the moon path ends this far below the horizon
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 200;
+const CHART_PAD = 24;
+
+/**
+ * Reduce per-azimuth rays to the skyline angle in each direction.
+ * @param {object} point - {lat, lng, elevation, observerHeight?}
+ * @param {Array<Array>} rays - ray samples for azimuths 0, step, 2*step...
+ * @param {object} options - computeObstruction options (refraction, observerHeight)
+ * @returns {Array<{azimuth, angle, distance}>}
+ */
+export function profileFromRays(point, rays, options = {}) {
+  const step = 360 / rays.length;
+  return rays.map((ray, i) => {
+    const obstruction = computeObstruction(point, ray, options);
+    return {
+      azimuth: i * step,
+      angle: obstruction.obstructionAngle,
+      distance: obstruction.maxBlockerDistance
+    };
+  });
+}
+
+/**
+ * Cast rays all around a point and return its horizon profile.
+ * @param {object} point - {lat, lng, elevation, observerHeight?}
+ * @param {object} options - {refraction, observerHeight, step}
+ */
+export async function computeHorizonProfile(point, options = {}) {
+  const { step = PROFILE_STEP, ...obstructionOptions } = options;
+  const bearings = [];
+  for (let az = 0; az < 360; az += step) bearings.push(az);
+
+  const { grid, bands } = await fetchRayGrid([point], bearings);
+  // The origin is re-sampled at the near-field zoom, as the viewshed analysis does
+  const eye = sampleElevationGrid(grid, point.lat, point.lng, bands[0].zoom);
+
+  return profileFromRays(
+    eye != null ? { ...point, elevation: eye } : point,
+    bearings.map(b => castRay(grid, point.lat, point.lng, b, bands)),
+    obstructionOptions
+  );
+}
+
+/**
+ * Sample the sun's daytime path for the profile chart, from an hour before
+ * sunrise to an hour after sunset.
+ * @param {object} sunData - from getSunData(); only sunriseTime/sunsetTime are used
+ */
+export function getDaySunPath(lat, lng, sunData, stepMinutes = 5) {
+  const hour = 3600000;
+  return getSunPath(
+    lat, lng,
+    new Date(sunData.sunriseTime.getTime() - hour),
+    new Date(sunData.sunsetTime.getTime() + hour),
+    stepMinutes
+  );
+}
+
+/**
+ * Sunrise, sunset and golden-hour positions of the sun for the chart.
+ */
+export function getSunMarkers(lat, lng, date) {
+  const morning = getSunData(lat, lng, date, 'sunrise');
+  const evening = getSunData(lat, lng, date, 'sunset');
+  const at = (label, time) => ({
+    label,
+    time,
+    azimuth: getSunAzimuth(lat, lng, time),
+    altitude: getSunAltitude(lat, lng, time)
+  });
+
+  return [
+    at('Sunrise', morning.sunriseTime),
+    at('Golden hour ends', morning.goldenHourEnd),
+    at('Golden hour', evening.goldenHourStart),
+    at('Sunset', evening.sunsetTime)
+  ];
+}
+
+/**
+ * Sample the moon's path across the sky from an hour before the searched moonrise
+ * until it sinks below the chart again (or back from the searched moonset), at most
+ * half a day, in time order.
+ * @param {object} moonData - from getMoonData(), with a targetTime
+ */
+export function getDayMoonPath(lat, lng, moonData, stepMinutes = 5) {
+  const hour = 3600000;
+  const direction = moonData.mode === 'moonset' ? -1 : 1;
+  const path = [];
+
+  for (let offset = -hour; offset <= 12 * hour; offset += stepMinutes * 60000) {
+    const time = new Date(moonData.targetTime.getTime() + direction * offset);
+    const position = getMoonPosition(lat, lng, time);
+    if (offset > 0 && position.altitude < MOON_PATH_FLOOR) break;
+    path.push({ time, ...position });
+  }
+  return direction === 1 ? path : path.reverse();
+}
+
+/**
+ * Moonrise and moonset positions for the chart, those the day has, in time order.
+ */
+export function getMoonMarkers(lat, lng, moonData) {
+  return [['Moonrise', moonData.moonriseTime], ['Moonset', moonData.moonsetTime]]
+    .filter(([, time]) => time)
+    .map(([label, time]) => ({ label, time, ...getMoonPosition(lat, lng, time) }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Split a sun path into drawable runs, breaking where azimuth wraps past north
+ * or where the path switches between golden hour and full daylight.
+ * @returns {Array<{golden: boolean, points: Array}>}
+ */
+export function splitSunPath(sunPath) {
+  const segments = [];
+  let current = null;
+
+  for (const p of sunPath) {
+    const golden = p.altitude < GOLDEN_HOUR_ALTITUDE;
+    const prev = current && current.points[current.points.length - 1];
+    const wraps = prev && Math.abs(p.azimuth - prev.azimuth) > 180;
+
+    if (!current || wraps || current.golden !== golden) {
+      current = { golden, points: prev && !wraps ? [prev] : [] };
+      segments.push(current);
+    }
+    current.points.push(p);
+  }
+
+  return segments;
+}
+
+/**
+ * Render the horizon profile and sun path as an SVG string.
+ * @param {Array} profile - from computeHorizonProfile()
+ * @param {Array} sunPath - [{time, azimuth, altitude}]
+ * @param {Array} markers - [{label, time, azimuth, altitude}] e.g. sunrise/sunset
+ * @param {object} options - {body} 'moon' draws the path as the moon's, without golden hour
+ */
+export function renderHorizonChart(profile, sunPath, markers = [], { body = 'sun' } = {}) {
+  const maxTerrain = Math.max(...profile.map(p => p.angle));
+  const minTerrain = Math.min(...profile.map(p => p.angle));
+  const top = Math.max(10, Math.ceil(maxTerrain + 3));
+  const bottom = Math.min(-3, Math.floor(minTerrain - 1));
+
+  const plotW = CHART_WIDTH - CHART_PAD * 2;
+  const plotH = CHART_HEIGHT - CHART_PAD * 2;
+  const round = v => Math.round(v * 10) / 10;
+  const x = az => round(CHART_PAD + (az / 360) * plotW);
+  const y = alt => {
+    const clamped = Math.max(bottom, Math.min(top, alt));
+    return round(CHART_PAD + ((top - clamped) / (top - bottom)) * plotH);
+  };
+
+  // Terrain silhouette, closed along the chart bottom
+  const skyline = profile.map(p => `${x(p.azimuth)},${y(p.angle)}`);
+  skyline.push(`${x(360)},${y(profile[0].angle)}`);
+  const terrain = `${x(0)},${y(bottom)} ${skyline.join(' ')} ${x(360)},${y(bottom)}`;
+
+  const sunLines = splitSunPath(sunPath.filter(p => p.altitude <= top + 5))
+    .filter(seg => seg.points.length > 1)
+    .map(seg => `<polyline class="${body === 'moon' ? 'sun-path moon' : (seg.golden ? 'sun-path golden' : 'sun-path')}" points="${
+      seg.points.map(p => `${x(p.azimuth)},${y(p.altitude)}`).join(' ')
+    }"/>`)
+    .join('');
+
+  const markerDots = markers.map(m => `
+    <circle class="sun-marker-dot" cx="${x(m.azimuth)}" cy="${y(m.altitude)}" r="4"/>
+    <text class="chart-label" x="${x(m.azimuth)}" y="${y(m.altitude) - 8}" text-anchor="middle">${m.label} ${formatTime(m.time)}</text>
+  `).join('');
+
+  const compass = ['N', 'E', 'S', 'W', 'N'].map((label, i) =>
+    `<text class="chart-axis" x="${x(i * 90)}" y="${CHART_HEIGHT - 6}" text-anchor="middle">${label}</text>`
+  ).join('');
+
+  return `
+    <svg class="horizon-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}">
+      <line class="horizon-zero" x1="${x(0)}" y1="${y(0)}" x2="${x(360)}" y2="${y(0)}"/>
+      <text class="chart-axis" x="4" y="${y(0)}">0°</text>
+      <text class="chart-axis" x="4" y="${y(top) + 4}">${top}°</text>
+      ${sunLines}
+      <polygon class="horizon-terrain" points="${terrain}"/>
+      ${markerDots}
+      ${compass}
+    </svg>
+  `;
+}
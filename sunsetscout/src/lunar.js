@@ -0,0 +1,168 @@
+/**
+ * Lunar calculations using suncalc library.
+ * Computes moonrise/moonset times, the moon's position and its phase.
+ * Moon data mirrors getSunData(), so the grid, viewshed and scoring pipeline
+ * can aim at the moon the way it aims at the sun.
+ */
+import SunCalc from 'suncalc';
+import { RAD2DEG, SUN_HORIZON_OFFSET } from './utils.js';
+
+const MOON_RISE_ALTITUDE = 0.133; // degrees; suncalc's moonrise altitude, folding in parallax and semi-diameter
+const SEARCH_STEP = 3600000;      // ms between samples when looking for moonrise/moonset
+const SWEEP_MINUTES = 60;         // minutes of the moon's climb (or descent) a sweep follows
+const THIN_MOON = 0.15;           // lit fraction below which the moon is too faint to matter
+
+/** Phase names by suncalc phase (0 new, 0.5 full), each centred on its value. */
+const PHASES = [
+  { phase: 0, name: 'New moon' },
+  { phase: 0.125, name: 'Waxing crescent' },
+  { phase: 0.25, name: 'First quarter' },
+  { phase: 0.375, name: 'Waxing gibbous' },
+  { phase: 0.5, name: 'Full moon' },
+  { phase: 0.625, name: 'Waning gibbous' },
+  { phase: 0.75, name: 'Last quarter' },
+  { phase: 0.875, name: 'Waning crescent' }
+];
+
+/**
+ * Whether a mode aims at the moon rather than the sun.
+ */
+export function isMoonMode(mode) {
+  return mode === 'moonrise' || mode === 'moonset';
+}
+
+/**
+ * The moon's compass bearing and altitude at a time.
+ * suncalc's moon altitude is geocentric and already refracted; it is shifted onto the
+ * sun's convention (geometric, with isSunVisible() adding refraction and semi-diameter
+ * back) so that the moon's upper limb meets a flat horizon exactly at moonrise.
+ */
+export function getMoonPosition(lat, lng, time) {
+  const pos = SunCalc.getMoonPosition(time, lat, lng);
+  return {
+    azimuth: ((pos.azimuth * RAD2DEG) + 180 + 360) % 360,
+    altitude: pos.altitude * RAD2DEG - MOON_RISE_ALTITUDE - SUN_HORIZON_OFFSET
+  };
+}
+
+/**
+ * Find moonrise and moonset in the 24 hours centred on a date.
+ * @param {Date} date - noon of the day on the location's clock
+ * @returns {{rise: Date|null, set: Date|null}} null when the moon doesn't rise (or set) that day
+ */
+export function getMoonEvents(lat, lng, date) {
+  const start = date.getTime() - 12 * 3600000;
+  const margin = t => getMoonPosition(lat, lng, new Date(t)).altitude + SUN_HORIZON_OFFSET;
+  const events = { rise: null, set: null };
+
+  let prev = margin(start);
+  for (let t = start + SEARCH_STEP; t <= start + 24 * 3600000; t += SEARCH_STEP) {
+    const next = margin(t);
+    const key = prev <= 0 && next > 0 ? 'rise' : (prev > 0 && next <= 0 ? 'set' : null);
+
+    if (key && !events[key]) {
+      // The moon's altitude is monotonic within an hour, so bisect to the second
+      let lo = t - SEARCH_STEP;
+      let hi = t;
+      while (hi - lo > 1000) {
+        const mid = (lo + hi) / 2;
+        if ((margin(mid) > 0) === (key === 'rise')) hi = mid;
+        else lo = mid;
+      }
+      events[key] = new Date(Math.round((lo + hi) / 2));
+    }
+    prev = next;
+  }
+  return events;
+}
+
+/**
+ * Name the phase of the moon from suncalc's phase value.
+ */
+export function getPhaseName(phase) {
+  const index = Math.round(phase * PHASES.length) % PHASES.length;
+  return PHASES[index].name;
+}
+
+/**
+ * Get moon data for a location and date, in getSunData()'s shape.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Date} date - noon of the day on the location's clock
+ * @param {string} mode - 'moonrise' or 'moonset'
+ * @returns {object} Moon data; targetTime, azimuth and altitude are null on days
+ *   without that event
+ */
+export function getMoonData(lat, lng, date, mode = 'moonrise') {
+  const { rise, set } = getMoonEvents(lat, lng, date);
+  const targetTime = mode === 'moonset' ? set : rise;
+  const position = targetTime ? getMoonPosition(lat, lng, targetTime) : { azimuth: null, altitude: null };
+  const illumination = SunCalc.getMoonIllumination(targetTime || date);
+  const sunTimes = SunCalc.getTimes(date, lat, lng);
+
+  return {
+    mode,
+    targetTime,
+    moonriseTime: rise,
+    moonsetTime: set,
+    sunriseTime: sunTimes.sunrise,
+    sunsetTime: sunTimes.sunset,
+    solarNoon: sunTimes.solarNoon,
+    azimuth: position.azimuth,
+    altitude: position.altitude,
+    illumination: illumination.fraction,
+    phase: illumination.phase,
+    phaseName: getPhaseName(illumination.phase),
+    isThin: illumination.fraction < THIN_MOON
+  };
+}
+
+/**
+ * Sample the moon's first hour after moonrise, or last before moonset, ordered
+ * toward the event like getGoldenHourPath(). The last sample is the event itself.
+ * @returns {Array<{time: Date, azimuth: number, altitude: number}>}
+ */
+export function getMoonPath(lat, lng, moonData, stepMinutes = 10) {
+  const event = moonData.targetTime.getTime();
+  const path = [];
+
+  for (let minutes = SWEEP_MINUTES; minutes > 0; minutes -= stepMinutes) {
+    const offset = (moonData.mode === 'moonrise' ? minutes : -minutes) * 60000;
+    const time = new Date(event + offset);
+    path.push({ time, ...getMoonPosition(lat, lng, time) });
+  }
+  path.push({ time: moonData.targetTime, azimuth: moonData.azimuth, altitude: moonData.altitude });
+
+  return path;
+}
+
+/**
+ * Find when the moon's upper limb crosses a terrain horizon at a given angle —
+ * the terrain-limited moonrise (or moonset) for a spot.
+ * Searches from two hours on the far side of the event to five hours into the moon's
+ * climb (or back through its descent), where its altitude is monotonic.
+ * @param {object} moonData - from getMoonData()
+ * @param {number} horizonAngle - terrain elevation angle toward the moon, degrees
+ * @returns {Date|null} null if the moon never clears (or never drops behind) that horizon
+ */
+export function getLocalMoonTime(lat, lng, moonData, horizonAngle) {
+  if (!moonData.targetTime) return null;
+
+  const event = moonData.targetTime.getTime();
+  const hour = 3600000;
+  const margin = t => getMoonPosition(lat, lng, new Date(t)).altitude + SUN_HORIZON_OFFSET - horizonAngle;
+
+  // `above` is the end of the window where the moon is up, `below` where it is down
+  const rising = moonData.mode === 'moonrise';
+  let above = rising ? event + 5 * hour : event - 5 * hour;
+  let below = rising ? event - 2 * hour : event + 2 * hour;
+  if (margin(above) <= 0 || margin(below) > 0) return null;
+
+  while (Math.abs(below - above) > 1000) {
+    const mid = (above + below) / 2;
+    if (margin(mid) > 0) above = mid;
+    else below = mid;
+  }
+
+  return new Date(Math.round((above + below) / 2));
+}
@@ -2,23 +2,54 @@
  * SunsetScout — Main entry point.
  * Wires together all modules: geocoding, solar, elevation, viewshed, weather, map, UI.
  */
-import { initMap, clearLayers, zoomToLocation, drawAzimuthLine, plotCandidates, highlightTopSpots, showPulseAnimation, panTo, plotHeatmap, toggleHeatmap } from './map.js';
-import { initUI, showLocationPicker, hideLocationPicker, updateSunCard, updateWeatherCard, updateResultsList, setLoading, setProgress, showError, state, updateHash } from './ui.js';
+import { initMap, clearLayers, zoomToLocation, drawAzimuthLine, plotCandidates, highlightTopSpots, showPulseAnimation, panTo, plotHeatmap, toggleHeatmap, enableSpotPicker, showSpotResult, showAlignments } from './map.js';
+import { initUI, modeLabel, setTimeZone, updatePlanner, hidePlanner, updateAlignmentList, hideAlignmentList, setDateInput, showLocationPicker, hideLocationPicker, updateSunCard, updateWeatherCard, updateResultsList, setLoading, setProgress, showError, showHorizonPanel, hideHorizonPanel, updateCacheStats, setProviderStatus, state, updateHash } from './ui.js';
 import { geocode } from './geocoder.js';
-import { getSunData } from './solar.js';
-import { fetchElevations } from './elevation.js';
+import { getSunData, getGoldenHourPath, getLocalEventTime, isTwilightMode, getGlowArc } from './solar.js';
+import { isMoonMode, getMoonData, getMoonPath, getLocalMoonTime } from './lunar.js';
+import { fetchElevations, fetchRayGrid, clearElevationCache, setElevationProvider } from './elevation-client.js';
+import { terrariumProvider, mapboxProvider, tileProvider, rasterProvider, parseAsciiGrid } from './elevation-providers.js';
+import { getTileStoreStats } from './tile-store.js';
 import { analyzeViewshed } from './viewshed.js';
 import { fetchWeather } from './weather.js';
-import { rankCandidates } from './scorer.js';
-import { generateHexGrid } from './utils.js';
+import { rankCandidates, elevationRange, isWaterHorizon, suppressNeighbours } from './scorer.js';
+import { refineSpots } from './refine.js';
+import { plannerDates, scoreDay } from './planner.js';
+import { findAlignments, bestAlignments, filterVisible } from './alignment.js';
+import { computeHorizonProfile, getDaySunPath, getSunMarkers, getDayMoonPath, getMoonMarkers, renderHorizonChart } from './horizon.js';
+import { resolveTimeZone, zonedTime } from './timezone.js';
+import { generateHexGrid, formatDistance, isAbortError } from './utils.js';
+
+const HEX_SPACING = 350;  // meters between search grid points
+const REFINE_COUNT = 10; // best distinct spots refined on a finer local grid
+const PLAN_LOAD_SHARE = 0.2; // planner progress bar share for loading elevations, then again for terrain
+const ALIGNMENT_SHORTLIST = 3; // best positions per day whose sight lines are checked
 
 // Initialize map
 initMap('map');
 
 // Initialize UI with callbacks
 initUI({
-  onSearch: handleSearch
+  onSearch: handleSearch,
+  onClearCache: handleClearCache,
+  onProviderChange: handleProviderChange,
+  onCancel: handleCancel,
+  onRerank: renderResults,
+  onPlan: handlePlan
 });
+refreshCacheStats();
+
+// Only the most recently requested horizon profile is drawn
+let horizonRequest = 0;
+
+// The analysis run in progress; starting another cancels it, so only the latest renders
+let currentRun = null;
+
+// Viewshed results of the last completed run, kept for re-ranking: {results, rankOptions}
+let lastAnalysis = null;
+
+// Click anywhere on the map to analyze a single spot at its own eye height
+enableSpotPicker(() => state.observerHeight, analyzeSpot, handleAlignment);
 
 // Heatmap toggle
 const heatmapBtn = document.getElementById('heatmap-toggle');
@@ -34,40 +65,130 @@ if (heatmapBtn) {
  * Main search handler — orchestrates the full pipeline.
  */
 async function handleSearch(query, directLat, directLng) {
+  const signal = startRun();
   try {
     if (query) {
       // Step 1: Geocode
       setLoading(true, 'Searching location...');
-      const results = await geocode(query);
+      const results = await geocode(query, { signal });
 
       if (results.length === 1 || directLat !== undefined) {
         const loc = directLat !== undefined
           ? { lat: directLat, lng: directLng }
           : results[0];
-        await runAnalysis(loc.lat, loc.lng);
+        await runAnalysis(loc.lat, loc.lng, signal);
       } else {
         setLoading(false);
-        showLocationPicker(results, async (selected) => {
-          await runAnalysis(selected.lat, selected.lng);
-        });
+        // A picked result runs as a search of its own, with its own run and error handling
+        showLocationPicker(results, (selected) => handleSearch(null, selected.lat, selected.lng));
       }
     } else if (directLat !== undefined) {
-      await runAnalysis(directLat, directLng);
+      await runAnalysis(directLat, directLng, signal);
     }
   } catch (err) {
+    if (isAbortError(err)) return;
     setLoading(false);
     showError(err.message || 'An error occurred');
     console.error(err);
   }
 }
 
+/**
+ * Cancel the run in progress, if any, and track a new one. The last analysis is
+ * dropped too, so the scoring controls never re-rank results the new run replaces.
+ * @param {object} options - {keepResults} for a run that adds to the shown results
+ * @returns {AbortSignal} aborted when the new run is cancelled or superseded
+ */
+function startRun({ keepResults = false } = {}) {
+  if (currentRun) currentRun.abort();
+  if (!keepResults) lastAnalysis = null;
+  currentRun = new AbortController();
+  return currentRun.signal;
+}
+
+/**
+ * Cancel button in the loading overlay.
+ */
+function handleCancel() {
+  if (currentRun) currentRun.abort();
+  currentRun = null;
+  setLoading(false);
+}
+
+/**
+ * Drop every cached terrain tile, in memory and persisted.
+ */
+async function handleClearCache() {
+  try {
+    await clearElevationCache();
+  } catch (err) {
+    console.warn('Clearing cached terrain failed:', err);
+  }
+  refreshCacheStats();
+}
+
+/**
+ * Switch the elevation source and re-run the current search against it.
+ * A local DEM covers only its own extent, so rays beyond it fall back to AWS tiles.
+ */
+async function handleProviderChange({ kind, token, url, encoding, file }) {
+  try {
+    let provider;
+    let status;
+    if (kind === 'mapbox') {
+      provider = mapboxProvider(token);
+      status = provider.label;
+    } else if (kind === 'custom') {
+      provider = tileProvider({ url, encoding });
+      status = `${encoding} tiles`;
+    } else if (kind === 'raster') {
+      if (!file) return;
+      const raster = parseAsciiGrid(await file.text());
+      provider = rasterProvider(raster, { label: file.name, fallback: terrariumProvider() });
+      status = `${file.name}: ${raster.ncols}×${raster.nrows} cells`;
+    } else {
+      provider = terrariumProvider();
+      status = '';
+    }
+
+    setElevationProvider(provider);
+    setProviderStatus(status);
+    if (state.location) handleSearch(null, state.location.lat, state.location.lng);
+  } catch (err) {
+    setProviderStatus('');
+    showError(err.message);
+  }
+}
+
+/**
+ * Show the persistent tile store's size in the sidebar.
+ */
+function refreshCacheStats() {
+  getTileStoreStats()
+    .then(updateCacheStats)
+    .catch(err => console.warn('Tile store stats unavailable:', err));
+}
+
 /**
  * Run the full analysis pipeline for a given lat/lng.
+ * Once the signal aborts, the run stops fetching and computing and renders nothing more.
  */
-async function runAnalysis(lat, lng) {
+async function runAnalysis(lat, lng, signal = startRun()) {
   hideLocationPicker();
+  hideHorizonPanel();
+  hidePlanner();
+  hideAlignmentList();
   state.location = { lat, lng };
 
+  // Sun times, forecast hours and the picked date all follow the location's clock
+  setLoading(true, 'Finding the local time zone...');
+  try {
+    setTimeZone(await resolveTimeZone(lat, lng, { signal }));
+  } catch (err) {
+    if (isAbortError(err)) return;
+    throw err;
+  }
+
   const radiusM = state.radius;
   const date = state.date;
   const mode = state.mode;
@@ -75,19 +196,25 @@ async function runAnalysis(lat, lng) {
   setLoading(true, 'Getting sun data...');
 
   // Step 2 & 3: Get sun data
-  const sunData = getSunData(lat, lng, date, mode);
+  const sunData = getTargetData(lat, lng, date, mode);
   updateSunCard(sunData);
+  if (!sunData.targetTime) {
+    // The moon skips a rise or set about once a month, and summer nights far north skip twilights
+    setLoading(false);
+    showError(`No ${modeLabel(mode).toLowerCase()} here on this date.`);
+    return;
+  }
 
   // Zoom map
   zoomToLocation(lat, lng, radiusM);
-  drawAzimuthLine(lat, lng, sunData.azimuth, radiusM);
+  drawAzimuthLine(lat, lng, sunData.azimuth, radiusM, targetSymbol(mode));
 
   // Start pulse animation
   const stopPulse = showPulseAnimation(lat, lng, radiusM);
 
   // Step 4: Generate grid and fetch elevations
   setLoading(true, 'Sampling elevation grid...');
-  const gridPoints = generateHexGrid(lat, lng, radiusM, 350);
+  const gridPoints = generateHexGrid(lat, lng, radiusM, HEX_SPACING);
   setProgress(10, `Fetching elevations for ${gridPoints.length} points...`);
 
   let elevatedPoints;
@@ -95,9 +222,10 @@ async function runAnalysis(lat, lng) {
     elevatedPoints = await fetchElevations(gridPoints, (done, total) => {
       const pct = 10 + (done / total) * 40;
       setProgress(pct, `Elevations: ${done}/${total}`);
-    });
+    }, { signal });
   } catch (err) {
     stopPulse();
+    if (isAbortError(err)) return;
     setLoading(false);
     console.error('Elevation fetch error:', err);
     showError('Elevation data unavailable. Please try again.');
@@ -106,6 +234,7 @@ async function runAnalysis(lat, lng) {
 
   // Step 5: Viewshed analysis
   setProgress(50, 'Analyzing viewshed...');
+  const sunPath = getSweepPath(lat, lng, sunData);
   let viewshedResults;
   try {
     viewshedResults = await analyzeViewshed(
@@ -117,32 +246,46 @@ async function runAnalysis(lat, lng) {
           const pct = 50 + (done / total) * 30;
           setProgress(pct, `Ray elevations: ${done}/${total}`);
         } else {
-          const pct = 80 + (done / total) * 15;
+          const pct = 80 + (done / total) * 10;
           setProgress(pct, `Scoring: ${done}/${total}`);
         }
-      }
+      },
+      { sunPath, glowArc: glowArcFor(sunData), refraction: state.refraction, observerHeight: state.observerHeight, signal }
     );
   } catch (err) {
     stopPulse();
+    if (isAbortError(err)) return;
     setLoading(false);
     showError('Viewshed analysis failed. Try a smaller radius.');
     return;
   }
 
-  // Step 6: Rank candidates
-  setProgress(95, 'Ranking results...');
-  const ranked = rankCandidates(viewshedResults, {
+  // Terrain-limited sunset/sunrise for each spot, next to the astronomical time
+  viewshedResults = viewshedResults.map(c => withLocalEventTime(c, sunData, date));
+
+  const rankOptions = {
     centerLat: lat,
     centerLng: lng,
-    maxRadius: radiusM
-  });
+    maxRadius: radiusM,
+    rankBy: rankByFor(sunData, sunPath)
+  };
 
-  // Step 7: Display results
-  plotCandidates(ranked, (c) => {
-    panTo(c.lat, c.lng);
-  });
-  highlightTopSpots(ranked, 5);
-  plotHeatmap(ranked);
+  // Step 6: Refine the best spots on a finer local grid
+  setProgress(90, 'Refining the best spots...');
+  try {
+    viewshedResults = await refineResults(viewshedResults, rankOptions, { sunData, sunPath, date, signal });
+  } catch (err) {
+    if (isAbortError(err)) {
+      stopPulse();
+      return;
+    }
+    console.warn('Spot refinement failed, keeping the coarse grid:', err);
+  }
+
+  // Step 7 & 8: Rank candidates and display results
+  setProgress(95, 'Ranking results...');
+  lastAnalysis = { results: viewshedResults, rankOptions };
+  renderResults();
 
   // Show heatmap toggle and reset state
   const heatBtn = document.getElementById('heatmap-toggle');
@@ -152,16 +295,16 @@ async function runAnalysis(lat, lng) {
     heatBtn.innerHTML = '&#9632; Heatmap';
   }
 
-  updateResultsList(ranked, (c) => {
-    panTo(c.lat, c.lng, 14);
-  });
-
-  // Step 8: Weather (optional)
+  // Step 9: Weather (optional)
   if (state.weatherEnabled) {
     try {
-      const weather = await fetchWeather(lat, lng, sunData.targetTime);
+      const weather = await fetchWeather(lat, lng, sunData.targetTime, { azimuth: sunData.azimuth, signal });
       updateWeatherCard(weather, date);
     } catch (err) {
+      if (isAbortError(err)) {
+        stopPulse();
+        return;
+      }
       console.warn('Weather data unavailable:', err);
     }
   }
@@ -169,6 +312,432 @@ async function runAnalysis(lat, lng) {
   stopPulse();
   setLoading(false);
   updateHash();
+  refreshCacheStats();
 
   setProgress(100, 'Done!');
 }
+
+/**
+ * Scoring options for a run's results under the current weights, bonus and penalty.
+ */
+function scoreOptions(rankOptions, results) {
+  return {
+    ...rankOptions,
+    weights: state.weights,
+    waterBonus: state.waterBonus,
+    slopePenalty: state.slopePenalty,
+    elevationRange: elevationRange(results)
+  };
+}
+
+/**
+ * Move the best distinct spots to the best point of a finer grid around each,
+ * analyzed like the coarse grid. The refined points replace the coarse ones.
+ */
+async function refineResults(results, rankOptions, { sunData, sunPath, date, signal }) {
+  const options = scoreOptions(rankOptions, results);
+  const spots = suppressNeighbours(rankCandidates(results, options), state.minSeparation)
+    .slice(0, REFINE_COUNT);
+
+  const refined = await refineSpots(spots, async (points) => {
+    const elevated = await fetchElevations(points, null, { signal });
+    const analyzed = await analyzeViewshed(
+      elevated,
+      sunData.azimuth,
+      sunData.altitude,
+      null,
+      { sunPath, glowArc: glowArcFor(sunData), refraction: state.refraction, observerHeight: state.observerHeight, signal }
+    );
+    return analyzed.map(c => withLocalEventTime(c, sunData, date));
+  }, { coarseSpacing: HEX_SPACING, scoreOptions: options });
+
+  const moved = new Map();
+  spots.forEach((spot, i) => {
+    if (refined[i].refinedFrom) moved.set(`${spot.lat},${spot.lng}`, refined[i]);
+  });
+  return results.map(c => moved.get(`${c.lat},${c.lng}`) || c);
+}
+
+/**
+ * Rank the last analysis with the current scoring weights, bonus and penalty and show it,
+ * water-horizon spots only if that filter is on. Needs no new viewshed run.
+ */
+function renderResults() {
+  if (!lastAnalysis) return;
+
+  const ranked = rankCandidates(
+    lastAnalysis.results,
+    scoreOptions(lastAnalysis.rankOptions, lastAnalysis.results)
+  );
+  const shown = state.waterOnly ? ranked.filter(isWaterHorizon) : ranked;
+  // The top lists show one spot per area, with its suppressed neighbours grouped under it
+  const distinct = suppressNeighbours(shown, state.minSeparation);
+
+  plotCandidates(shown, (c) => {
+    panTo(c.lat, c.lng);
+    showHorizonProfile(c);
+  });
+  highlightTopSpots(distinct, 5);
+  plotHeatmap(shown);
+  updateResultsList(distinct, (c) => {
+    panTo(c.lat, c.lng, 14);
+  });
+}
+
+/**
+ * Plan the coming days at the current location: load the grid's elevations and one
+ * ray grid covering every day's bearings, analyze each day's sun position over them,
+ * score the day with its forecast, and list the days in the planner.
+ */
+async function handlePlan() {
+  if (!state.location) {
+    showError('Search for a place to plan first.');
+    return;
+  }
+
+  const signal = startRun();
+  const { lat, lng } = state.location;
+  const radiusM = state.radius;
+  const dates = plannerDates(state.date, undefined, state.timeZone);
+  // Grid elevations, then terrain tiles, then the days in turn: each a fixed share of the bar
+  const progress = (start, span, label) => (done, total) => setProgress((start + span * (done / total)) * 100, label);
+
+  hideAlignmentList();
+  setLoading(true, 'Planning the coming days...');
+  try {
+    const points = await fetchElevations(
+      generateHexGrid(lat, lng, radiusM, HEX_SPACING),
+      progress(0, PLAN_LOAD_SHARE, 'Loading elevations...'),
+      { signal }
+    );
+
+    const targets = dates.map(d => getTargetData(lat, lng, zonedTime(d, 12, state.timeZone), state.mode));
+    const sunPaths = targets.map(t => t.targetTime ? getSweepPath(lat, lng, t) : null);
+    const first = targets.find(t => t.targetTime);
+
+    // One ray grid for the week: each day's rays read from it without reloading tiles
+    const weekBearings = targets.flatMap((t, i) => {
+      if (!t.targetTime) return [];
+      return glowArcFor(t) || (sunPaths[i] ? sunPaths[i].map(step => step.azimuth) : [t.azimuth]);
+    });
+    const rayGrid = weekBearings.length
+      ? await fetchRayGrid(
+        points.filter(p => p.elevation != null).map(p => ({ lat: p.lat, lng: p.lng })),
+        weekBearings,
+        progress(PLAN_LOAD_SHARE, PLAN_LOAD_SHARE, 'Loading terrain...'),
+        { signal }
+      )
+      : null;
+
+    let weather = null;
+    if (state.weatherEnabled && first) {
+      weather = await fetchWeather(lat, lng, first.targetTime, { azimuth: first.azimuth, signal })
+        .catch(err => {
+          if (isAbortError(err)) throw err;
+          console.warn('Weather data unavailable for the planner:', err);
+          return null;
+        });
+    }
+
+    const days = [];
+    for (const [i, dateStr] of dates.entries()) {
+      const date = zonedTime(dateStr, 12, state.timeZone);
+      const sunData = targets[i];
+      if (!sunData.targetTime) {
+        days.push({ date: dateStr, sunData, results: [], rankOptions: null, ...scoreDay([], null) });
+        continue;
+      }
+      const sunPath = sunPaths[i];
+      const daySpan = (1 - 2 * PLAN_LOAD_SHARE) / dates.length;
+      const dayProgress = progress(2 * PLAN_LOAD_SHARE + i * daySpan, daySpan, `Planning ${dateStr}...`);
+
+      const analyzed = await analyzeViewshed(
+        points,
+        sunData.azimuth,
+        sunData.altitude,
+        (done, total, phase) => {
+          if (phase === 'analysis') dayProgress(done, total);
+        },
+        { sunPath, glowArc: glowArcFor(sunData), refraction: state.refraction, observerHeight: state.observerHeight, rayGrid, signal }
+      );
+      const results = analyzed.map(c => withLocalEventTime(c, sunData, date));
+      const rankOptions = {
+        centerLat: lat,
+        centerLng: lng,
+        maxRadius: radiusM,
+        rankBy: rankByFor(sunData, sunPath)
+      };
+      const forecast = weather ? weather.find(d => d.date === dateStr) : null;
+
+      days.push({
+        date: dateStr,
+        sunData,
+        results,
+        rankOptions,
+        ...scoreDay(rankCandidates(results, scoreOptions(rankOptions, results)), forecast)
+      });
+    }
+
+    updatePlanner(days, (day) => selectPlannedDay(day, weather));
+    setLoading(false);
+    refreshCacheStats();
+  } catch (err) {
+    if (isAbortError(err)) return;
+    setLoading(false);
+    showError('Planning failed. Try a smaller radius.');
+    console.error(err);
+  }
+}
+
+/**
+ * Drill into a planned day: show its sun, results and forecast without re-running it.
+ */
+function selectPlannedDay(day, weather) {
+  const { lat, lng } = state.location;
+  state.date = zonedTime(day.date, 12, state.timeZone);
+  setDateInput(day.date);
+
+  hideHorizonPanel();
+  updateSunCard(day.sunData);
+  if (!day.rankOptions) {
+    showError(`No ${modeLabel(day.sunData.mode).toLowerCase()} here on this date.`);
+    return;
+  }
+  drawAzimuthLine(lat, lng, day.sunData.azimuth, state.radius, targetSymbol(day.sunData.mode));
+  lastAnalysis = { results: day.results, rankOptions: day.rankOptions };
+  renderResults();
+  if (weather) updateWeatherCard(weather, state.date);
+  if (day.best) panTo(day.best.lat, day.best.lng);
+  updateHash();
+}
+
+/**
+ * Find where and when over the coming year the sun sets (or rises) right behind a
+ * landmark: observers on a grid around it, matched against each day's sun track,
+ * then the best few per day checked for a clear line of sight to the landmark.
+ */
+async function handleAlignment(lat, lng, height) {
+  const signal = startRun();
+  hideHorizonPanel();
+  hidePlanner();
+
+  setLoading(true, 'Finding the local time zone...');
+  try {
+    setTimeZone(await resolveTimeZone(lat, lng, { signal }));
+
+    setLoading(true, 'Sampling observer grid...');
+    const [base] = await fetchElevations([{ lat, lng }], null, { signal });
+    if (base.elevation == null) {
+      throw new Error('Elevation data unavailable for this landmark.');
+    }
+    const landmark = { lat, lng, elevation: base.elevation, height };
+
+    const observers = await fetchElevations(
+      generateHexGrid(lat, lng, state.radius, HEX_SPACING),
+      (done, total) => setProgress((done / total) * 50, `Elevations: ${done}/${total}`),
+      { signal }
+    );
+
+    setProgress(50, 'Matching the sun to the landmark...');
+    const options = { refraction: state.refraction, observerHeight: state.observerHeight };
+    const matches = findAlignments(observers.filter(o => o.elevation != null), landmark, {
+      ...options,
+      startDate: state.date,
+      mode: alignmentMode(),
+      timeZone: state.timeZone
+    });
+
+    setProgress(60, 'Checking lines of sight...');
+    const visible = await filterVisible(
+      bestAlignments(matches, ALIGNMENT_SHORTLIST),
+      landmark,
+      points => fetchElevations(points, (done, total) => setProgress(60 + (done / total) * 40, `Sight lines: ${done}/${total}`), { signal }),
+      options
+    );
+
+    const alignments = bestAlignments(visible);
+    showAlignments(landmark, alignments, selectAlignment);
+    updateAlignmentList(alignments, landmark, alignmentMode(), selectAlignment);
+    setLoading(false);
+    refreshCacheStats();
+  } catch (err) {
+    if (isAbortError(err)) return;
+    setLoading(false);
+    showError(err.message || 'Alignment search failed');
+    console.error(err);
+  }
+}
+
+/**
+ * Show one alignment: its day, and the sun's line from the observer over the landmark.
+ */
+function selectAlignment(alignment) {
+  const { observer } = alignment;
+  state.date = zonedTime(alignment.date, 12, state.timeZone);
+  setDateInput(alignment.date);
+
+  updateSunCard(getSunData(observer.lat, observer.lng, state.date, alignmentMode()));
+  drawAzimuthLine(observer.lat, observer.lng, alignment.sunAzimuth, alignment.distance);
+  panTo(observer.lat, observer.lng);
+  updateHash();
+}
+
+/**
+ * The sun event landmarks are aligned with: in the moon and twilight modes, the sun's
+ * rise or set on the same side of the day.
+ */
+function alignmentMode() {
+  return /rise|dawn/.test(state.mode) ? 'sunrise' : 'sunset';
+}
+
+/**
+ * Analyze one custom spot (a tower, a rooftop...) with its own observer height.
+ */
+async function analyzeSpot(lat, lng, observerHeight) {
+  const center = state.location || { lat, lng };
+  const sunData = getTargetData(lat, lng, state.date, state.mode);
+  if (!sunData.targetTime) {
+    showError(`No ${modeLabel(state.mode).toLowerCase()} here on this date.`);
+    return;
+  }
+  const sunPath = getSweepPath(lat, lng, sunData);
+
+  // The searched area's results stay on the map beside the spot
+  const signal = startRun({ keepResults: true });
+  setLoading(true, 'Analyzing spot...');
+  try {
+    const [point] = await fetchElevations([{ lat, lng, observerHeight }], null, { signal });
+    if (point.elevation == null) {
+      throw new Error('Elevation data unavailable for this spot.');
+    }
+
+    const [result] = await analyzeViewshed(
+      [point],
+      sunData.azimuth,
+      sunData.altitude,
+      null,
+      { sunPath, glowArc: glowArcFor(sunData), refraction: state.refraction, signal }
+    );
+
+    const [scored] = rankCandidates([withLocalEventTime(result, sunData, state.date)], {
+      centerLat: center.lat,
+      centerLng: center.lng,
+      maxRadius: state.radius,
+      rankBy: rankByFor(sunData, sunPath),
+      weights: state.weights,
+      waterBonus: state.waterBonus,
+      slopePenalty: state.slopePenalty,
+      // Rate the spot's height against the area searched last, if any
+      elevationRange: lastAnalysis ? elevationRange(lastAnalysis.results) : null
+    });
+    setLoading(false);
+    showSpotResult(scored, showHorizonProfile);
+    showHorizonProfile(scored);
+  } catch (err) {
+    // A cancelled or superseded run leaves the overlay to whatever replaced it
+    if (isAbortError(err)) return;
+    setLoading(false);
+    showError(err.message || 'Spot analysis failed');
+    console.error(err);
+  }
+}
+
+/**
+ * Cast rays all around a viewpoint and show its skyline with the day's sun path.
+ */
+async function showHorizonProfile(candidate) {
+  const request = ++horizonRequest;
+  const title = `Horizon from ${Math.round(candidate.elevation)}m`;
+  showHorizonPanel(title, 'Casting rays in every direction...');
+
+  try {
+    const profile = await computeHorizonProfile(candidate, {
+      refraction: state.refraction,
+      observerHeight: state.observerHeight
+    });
+    if (request !== horizonRequest) return;
+
+    let chart;
+    if (isMoonMode(state.mode)) {
+      // The moon modes chart the moon's path instead of the sun's
+      const moonData = getMoonData(candidate.lat, candidate.lng, state.date, state.mode);
+      const moonPath = moonData.targetTime ? getDayMoonPath(candidate.lat, candidate.lng, moonData) : [];
+      chart = renderHorizonChart(profile, moonPath, getMoonMarkers(candidate.lat, candidate.lng, moonData), { body: 'moon' });
+    } else {
+      const sunData = getSunData(candidate.lat, candidate.lng, state.date, state.mode);
+      const sunPath = getDaySunPath(candidate.lat, candidate.lng, sunData);
+      chart = renderHorizonChart(profile, sunPath, getSunMarkers(candidate.lat, candidate.lng, state.date));
+    }
+
+    const highest = profile.reduce((a, b) => (b.angle > a.angle ? b : a));
+    showHorizonPanel(
+      `${title} · highest skyline ${highest.angle.toFixed(1)}° at ${Math.round(highest.azimuth)}°, ${formatDistance(highest.distance)} away`,
+      chart
+    );
+  } catch (err) {
+    console.error(err);
+    if (request !== horizonRequest) return;
+    showHorizonPanel(title, 'Horizon profile unavailable — terrain tiles failed to load.');
+  }
+}
+
+/**
+ * Terrain-limited event time for a candidate; none in twilight, with the sun already down.
+ */
+function localEventTime(candidate, sunData, date) {
+  if (isTwilightMode(sunData.mode)) return null;
+  if (isMoonMode(sunData.mode)) return getLocalMoonTime(candidate.lat, candidate.lng, sunData, candidate.obstructionAngle);
+  // A sweep's track follows the sun across the terrain; without one only the event bearing is known
+  return getLocalEventTime(candidate.lat, candidate.lng, date, sunData.mode, candidate.horizonTrack || candidate.obstructionAngle);
+}
+
+/**
+ * Sun or moon data for a mode, in getSunData()'s shape.
+ */
+function getTargetData(lat, lng, date, mode) {
+  return isMoonMode(mode) ? getMoonData(lat, lng, date, mode) : getSunData(lat, lng, date, mode);
+}
+
+/**
+ * Bearings across the afterglow in the twilight modes, else null.
+ */
+function glowArcFor(sunData) {
+  return isTwilightMode(sunData.mode) ? getGlowArc(sunData.azimuth) : null;
+}
+
+/**
+ * What the obstruction score rates: the glow's arc in twilight, minutes in view
+ * when sweeping, else the view along the event bearing.
+ */
+function rankByFor(sunData, sunPath) {
+  if (isTwilightMode(sunData.mode)) return 'glow';
+  return sunPath ? 'duration' : 'obstruction';
+}
+
+/**
+ * Map symbol for the body a mode aims at.
+ */
+function targetSymbol(mode) {
+  return isMoonMode(mode) ? '☾' : '☀';
+}
+
+/**
+ * The path to sweep when the golden-hour sweep is on: the sun's golden hour,
+ * or the moon's first hour up (or last before it sets). Twilight rates the glow's arc instead.
+ */
+function getSweepPath(lat, lng, sunData) {
+  if (!state.goldenHourSweep || isTwilightMode(sunData.mode)) return null;
+  return isMoonMode(sunData.mode) ? getMoonPath(lat, lng, sunData) : getGoldenHourPath(lat, lng, sunData);
+}
+
+/**
+ * Attach the terrain-limited sunset/sunrise (or moonrise/moonset) time next to the astronomical one.
+ */
+function withLocalEventTime(candidate, sunData, date) {
+  return {
+    ...candidate,
+    mode: sunData.mode,
+    targetTime: sunData.targetTime,
+    localEventTime: localEventTime(candidate, sunData, date)
+  };
+}
@@ -3,8 +3,9 @@
  */
 import L from 'leaflet';
 import 'leaflet.heat';
-import { getScoreColor, getMarkerRadius, getVerdict } from './scorer.js';
-import { azimuthToCompass, formatDistance, destinationPoint } from './utils.js';
+import { getScoreColor, getMarkerRadius, getVerdict, getSweepSummary, getLocalTimeSummary, getHorizonSummary, getGroundSummary } from './scorer.js';
+import { azimuthToCompass, formatDistance, formatTime, destinationPoint } from './utils.js';
+import { isMoonMode } from './lunar.js';
 
 let map = null;
 let candidateLayer = null;
@@ -14,6 +15,8 @@ let searchCircleLayer = null;
 let pulseLayer = null;
 let heatmapLayer = null;
 let heatmapVisible = false;
+let customSpotLayer = null;
+let alignmentLayer = null;
 
 const TILE_URL = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
 const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/">CARTO</a>';
@@ -41,6 +44,8 @@ export function initMap(containerId) {
   azimuthLineLayer = L.layerGroup().addTo(map);
   searchCircleLayer = L.layerGroup().addTo(map);
   pulseLayer = L.layerGroup().addTo(map);
+  customSpotLayer = L.layerGroup().addTo(map);
+  alignmentLayer = L.layerGroup().addTo(map);
 
   return map;
 }
@@ -54,6 +59,8 @@ export function clearLayers() {
   if (azimuthLineLayer) azimuthLineLayer.clearLayers();
   if (searchCircleLayer) searchCircleLayer.clearLayers();
   if (pulseLayer) pulseLayer.clearLayers();
+  if (customSpotLayer) customSpotLayer.clearLayers();
+  if (alignmentLayer) alignmentLayer.clearLayers();
   if (heatmapLayer) {
     map.removeLayer(heatmapLayer);
     heatmapLayer = null;
@@ -93,8 +100,9 @@ export function zoomToLocation(lat, lng, radiusM) {
 
 /**
  * Draw the sunset azimuth line from center.
+ * @param {string} symbol - marker at the line's end, the moon's in the moon modes
  */
-export function drawAzimuthLine(centerLat, centerLng, azimuth, radiusM) {
+export function drawAzimuthLine(centerLat, centerLng, azimuth, radiusM, symbol = '☀') {
   azimuthLineLayer.clearLayers();
 
   const endpoint = destinationPoint(centerLat, centerLng, azimuth, radiusM * 1.5);
@@ -113,7 +121,7 @@ export function drawAzimuthLine(centerLat, centerLng, azimuth, radiusM) {
   // Sun icon at the end of the azimuth line
   const sunIcon = L.divIcon({
     className: 'sun-icon',
-    html: '<div class="sun-marker">☀</div>',
+    html: `<div class="sun-marker">${symbol}</div>`,
     iconSize: [30, 30],
     iconAnchor: [15, 15]
   });
@@ -121,6 +129,39 @@ export function drawAzimuthLine(centerLat, centerLng, azimuth, radiusM) {
   azimuthLineLayer.addLayer(sunMarker);
 }
 
+/**
+ * Popup markup for an analyzed spot.
+ */
+function spotPopupHtml(c) {
+  const color = getScoreColor(c.score);
+  const verdict = getVerdict(c);
+  const sweep = getSweepSummary(c);
+  const localTime = getLocalTimeSummary(c);
+  const horizon = getHorizonSummary(c);
+  const ground = getGroundSummary(c);
+  const compass = azimuthToCompass(c.sunBearing);
+  const eyeHeight = c.observerHeight > 0 ? ` + ${c.observerHeight}m eye height` : '';
+  const body = isMoonMode(c.mode) ? 'Moon' : 'Sun';
+
+  return `
+    <div class="spot-popup">
+      <div class="popup-score" style="background:${color}">${c.score}</div>
+      <div class="popup-details">
+        <strong>${Math.round(c.elevation)}m elevation${eyeHeight}</strong>
+        <p>${verdict}</p>
+        <p>Obstruction: ${c.obstructionAngle.toFixed(1)}° | ${body}: ${c.sunAltitude.toFixed(1)}°</p>
+        ${horizon ? `<p>${horizon}</p>` : ''}
+        ${ground ? `<p>${ground}</p>` : ''}
+        ${localTime ? `<p>${localTime}</p>` : ''}
+        ${sweep ? `<p>${sweep}</p>` : ''}
+        <p>Bearing: ${Math.round(c.sunBearing)}° ${compass}</p>
+        <a href="https://www.google.com/maps/dir/?api=1&destination=${c.lat},${c.lng}"
+           target="_blank" class="directions-link">Get Directions →</a>
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Add candidate points to the map.
  */
@@ -136,26 +177,11 @@ export function plotCandidates(candidates, onCandidateClick) {
       color: color,
       fillColor: color,
       fillOpacity: 0.6,
-      weight: 1
+      weight: 1,
+      bubblingMouseEvents: false
     });
 
-    const verdict = getVerdict(c);
-    const compass = azimuthToCompass(c.sunBearing);
-    const popupContent = `
-      <div class="spot-popup">
-        <div class="popup-score" style="background:${color}">${c.score}</div>
-        <div class="popup-details">
-          <strong>${Math.round(c.elevation)}m elevation</strong>
-          <p>${verdict}</p>
-          <p>Obstruction: ${c.obstructionAngle.toFixed(1)}° | Sun: ${c.sunAltitude.toFixed(1)}°</p>
-          <p>Bearing: ${Math.round(c.sunBearing)}° ${compass}</p>
-          <a href="https://www.google.com/maps/dir/?api=1&destination=${c.lat},${c.lng}"
-             target="_blank" class="directions-link">Get Directions →</a>
-        </div>
-      </div>
-    `;
-
-    marker.bindPopup(popupContent, { className: 'dark-popup', maxWidth: 280 });
+    marker.bindPopup(spotPopupHtml(c), { className: 'dark-popup', maxWidth: 280 });
 
     if (onCandidateClick) {
       marker.on('click', () => onCandidateClick(c));
@@ -185,12 +211,18 @@ export function highlightTopSpots(candidates, count = 5) {
     const marker = L.marker([c.lat, c.lng], { icon, zIndexOffset: 1000 });
 
     const verdict = getVerdict(c);
+    const localTime = getLocalTimeSummary(c);
+    const horizon = getHorizonSummary(c);
+    const ground = getGroundSummary(c);
     marker.bindPopup(`
       <div class="spot-popup top-spot-popup">
         <div class="popup-rank">#${i + 1}</div>
         <div class="popup-details">
           <strong>${Math.round(c.elevation)}m elevation</strong>
           <p>${verdict}</p>
+          ${horizon ? `<p>${horizon}</p>` : ''}
+          ${ground ? `<p>${ground}</p>` : ''}
+          ${localTime ? `<p>${localTime}</p>` : ''}
           <p>Score: ${c.score}/100</p>
           <a href="https://www.google.com/maps/dir/?api=1&destination=${c.lat},${c.lng}"
              target="_blank" class="directions-link">Get Directions →</a>
@@ -202,6 +234,114 @@ export function highlightTopSpots(candidates, count = 5) {
   }
 }
 
+/**
+ * Let the user click anywhere on the map to analyze that exact spot,
+ * with its own observer height (tower, rooftop...), or to line the sun up behind it.
+ * @param {function} getDefaultHeight - returns the current global observer height
+ * @param {function} onAnalyze - callback(lat, lng, observerHeight)
+ * @param {function} onAlign - callback(lat, lng, landmarkHeight)
+ */
+export function enableSpotPicker(getDefaultHeight, onAnalyze, onAlign) {
+  map.on('click', (e) => {
+    const { lat, lng } = e.latlng;
+
+    const form = L.DomUtil.create('div', 'spot-picker');
+    form.innerHTML = `
+      <strong>Analyze this spot</strong>
+      <label>Eye height
+        <input type="number" class="spot-height-input" min="0" max="500" step="0.5" value="${getDefaultHeight()}"> m
+      </label>
+      <button class="search-btn spot-analyze-btn">Analyze</button>
+      <strong>Line the sun up behind it</strong>
+      <label>Landmark height
+        <input type="number" class="landmark-height-input" min="0" max="1000" step="1" value="0"> m
+      </label>
+      <button class="search-btn spot-align-btn">Find alignments</button>
+    `;
+    L.DomEvent.disableClickPropagation(form);
+
+    const popup = L.popup({ className: 'dark-popup', maxWidth: 280 })
+      .setLatLng(e.latlng)
+      .setContent(form)
+      .openOn(map);
+
+    form.querySelector('.spot-analyze-btn').addEventListener('click', () => {
+      const height = parseFloat(form.querySelector('.spot-height-input').value);
+      map.closePopup(popup);
+      onAnalyze(lat, lng, isNaN(height) ? getDefaultHeight() : Math.max(0, height));
+    });
+
+    form.querySelector('.spot-align-btn').addEventListener('click', () => {
+      const height = parseFloat(form.querySelector('.landmark-height-input').value);
+      map.closePopup(popup);
+      onAlign(lat, lng, isNaN(height) ? 0 : Math.max(0, height));
+    });
+  });
+}
+
+/**
+ * Show a landmark and the observer positions that line the sun up behind it.
+ * @param {object} landmark - {lat, lng, elevation, height}
+ * @param {Array} alignments - from bestAlignments()
+ * @param {function} onClick - callback(alignment)
+ */
+export function showAlignments(landmark, alignments, onClick) {
+  alignmentLayer.clearLayers();
+
+  const icon = L.divIcon({
+    className: 'landmark-icon',
+    html: '<div class="landmark-marker">▲</div>',
+    iconSize: [24, 24],
+    iconAnchor: [12, 12]
+  });
+  alignmentLayer.addLayer(
+    L.marker([landmark.lat, landmark.lng], { icon, zIndexOffset: 1000 })
+      .bindPopup(`<strong>Landmark</strong><p>${Math.round(landmark.elevation + landmark.height)}m top</p>`,
+        { className: 'dark-popup', maxWidth: 220 })
+  );
+
+  for (const a of alignments) {
+    const marker = L.circleMarker([a.observer.lat, a.observer.lng], {
+      radius: 6,
+      color: '#fff',
+      fillColor: '#fbbf24',
+      fillOpacity: 0.85,
+      weight: 1,
+      bubblingMouseEvents: false
+    });
+    marker.bindPopup(`
+      <div class="spot-popup">
+        <strong>${a.date} at ${formatTime(a.time)}</strong>
+        <p>${formatDistance(a.distance)} from the landmark, looking ${azimuthToCompass(a.bearing)}</p>
+        <p>Alignment error ${a.error.toFixed(2)}°</p>
+      </div>
+    `, { className: 'dark-popup', maxWidth: 260 });
+    marker.on('click', () => onClick(a));
+    alignmentLayer.addLayer(marker);
+  }
+}
+
+/**
+ * Show the result of a single-spot analysis as a marker with its popup open.
+ */
+export function showSpotResult(candidate, onClick) {
+  customSpotLayer.clearLayers();
+
+  const color = getScoreColor(candidate.score);
+  const marker = L.circleMarker([candidate.lat, candidate.lng], {
+    radius: 9,
+    color: '#fff',
+    fillColor: color,
+    fillOpacity: 0.9,
+    weight: 2,
+    bubblingMouseEvents: false
+  });
+  marker.bindPopup(spotPopupHtml(candidate), { className: 'dark-popup', maxWidth: 280 });
+  if (onClick) marker.on('click', () => onClick(candidate));
+  customSpotLayer.addLayer(marker);
+  marker.openPopup();
+}
+
 /**
  * Show a pulsing animation ring expanding from center.
  */
@@ -0,0 +1,55 @@
+/**
+ * Multi-day planner: the best evening and spot over the coming days.
+ * Each day's viewshed ranking is combined with that day's forecast colour chance,
+ * so a great spot on an overcast evening loses to a good spot under a clear horizon.
+ */
+import { formatDateInZone } from './timezone.js';
+
+const PLANNER_DAYS = 7;  // Open-Meteo forecasts 7 days ahead
+const SPOT_SHARE = 0.5;  // share of a day's score from its best spot; the rest from the forecast
+const NEUTRAL_COLOUR_CHANCE = 50; // colour chance counted for days beyond the forecast
+
+/**
+ * Calendar dates of the days to plan, starting from a date on the location's clock.
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+export function plannerDates(startDate, count = PLANNER_DAYS, timeZone = null) {
+  const [year, month, day] = formatDateInZone(startDate, timeZone).split('-').map(Number);
+  return Array.from({ length: count }, (_, i) =>
+    new Date(Date.UTC(year, month - 1, day + i)).toISOString().slice(0, 10)
+  );
+}
+
+/**
+ * Score one day from its ranked spots and forecast.
+ * @param {Array} ranked - the day's candidates, best first
+ * @param {object|null} forecast - the day's entry from fetchWeather(), if any
+ * @returns {{best, spotScore, colourChance, quality, score}} colourChance is null
+ *   without a forecast; the day is then scored with an even colour chance, so it
+ *   ranks on the same scale as forecast days
+ */
+export function scoreDay(ranked, forecast) {
+  const best = ranked[0] || null;
+  const spotScore = best ? best.score : 0;
+  const quality = forecast ? forecast.quality : null;
+  const colourChance = quality ? quality.probability : null;
+
+  return {
+    best,
+    spotScore,
+    colourChance,
+    quality,
+    score: Math.round(SPOT_SHARE * spotScore + (1 - SPOT_SHARE) * (colourChance ?? NEUTRAL_COLOUR_CHANCE))
+  };
+}
+
+/**
+ * Index of the best-scoring day, the earliest on ties; -1 for none.
+ */
+export function bestDayIndex(days) {
+  let best = -1;
+  days.forEach((day, i) => {
+    if (best === -1 || day.score > days[best].score) best = i;
+  });
+  return best;
+}
@@ -0,0 +1,54 @@
+/**
+ * Local refinement of the best spots.
+ * The search grid is coarse, so the best cell often sits off the real summit or
+ * ridge crest. Each top spot is re-analyzed on a denser grid around it, through
+ * the same elevation and viewshed pipeline, and moved to the best point found.
+ */
+import { generateHexGrid } from './utils.js';
+import { scoreCandidate } from './scorer.js';
+
+const REFINE_SPACING = 50; // meters between refinement points
+
+/**
+ * Points of a dense grid covering a coarse spot's cell.
+ * @param {object} spot - {lat, lng}
+ * @param {number} coarseSpacing - meters between points of the grid the spot came from
+ */
+export function refinementGrid(spot, coarseSpacing, spacing = REFINE_SPACING) {
+  // A hex cell's circumradius, so the refinement reaches the neighbouring cells' edges
+  return generateHexGrid(spot.lat, spot.lng, coarseSpacing / Math.sqrt(3), spacing);
+}
+
+/**
+ * Refine spots on dense local grids, all analyzed in one batch.
+ * A spot only moves if a nearby point scores higher, so refinement never makes it worse.
+ * @param {Array} spots - coarse candidates
+ * @param {function} analyze - async (points) => analyzed candidates; may drop points
+ *   without elevation and properties it doesn't know, but must keep each point's lat and lng
+ * @param {object} options - {coarseSpacing, spacing, scoreOptions} scoreOptions as for scoreCandidate()
+ * @returns {Promise<Array>} one candidate per spot, in order: the spot itself, or the better
+ *   point found with `refinedFrom: {lat, lng}` of the coarse spot
+ */
+export async function refineSpots(spots, analyze, { coarseSpacing, spacing = REFINE_SPACING, scoreOptions = {} }) {
+  // Analyzed points are matched back to their spots by position, which analysis keeps
+  const owners = new Map();
+  const points = spots.flatMap((spot, i) => refinementGrid(spot, coarseSpacing, spacing).map(p => {
+    const key = `${p.lat},${p.lng}`;
+    if (!owners.has(key)) owners.set(key, []);
+    owners.get(key).push(i);
+    return p;
+  }));
+  const analyzed = await analyze(points);
+
+  const best = spots.map(spot => ({ candidate: spot, score: scoreCandidate(spot, scoreOptions) }));
+  for (const candidate of analyzed) {
+    const score = scoreCandidate(candidate, scoreOptions);
+    for (const i of owners.get(`${candidate.lat},${candidate.lng}`) || []) {
+      if (score > best[i].score) best[i] = { candidate, score };
+    }
+  }
+
+  return best.map(({ candidate }, i) => candidate === spots[i]
+    ? candidate
+    : { ...candidate, refinedFrom: { lat: spots[i].lat, lng: spots[i].lng } });
+}
@@ -1,49 +1,187 @@
 /**
  * Composite scoring algorithm for ranking sunset viewpoints.
  */
-import { haversine } from './utils.js';
+import { haversine, formatTime, formatDistance, azimuthToCompass, DEG2RAD } from './utils.js';
+import { isMoonMode } from './lunar.js';
+import { isTwilightMode } from './solar.js';
+
+/** Default points for each scoring component; they sum to 100. */
+export const DEFAULT_WEIGHTS = { obstruction: 40, elevation: 30, distance: 15, clearance: 15 };
+
+/** Named weight presets for the sidebar. */
+export const WEIGHT_PRESETS = {
+  balanced: { label: 'Balanced', weights: DEFAULT_WEIGHTS },
+  // A clean, deep gap below the horizon matters most for a shot
+  photographer: { label: 'Photographer', weights: { obstruction: 35, elevation: 15, distance: 5, clearance: 45 } },
+  // Summits and high ground are worth the walk
+  hiker: { label: 'Hiker', weights: { obstruction: 30, elevation: 45, distance: 5, clearance: 20 } },
+  // Close to the search center, good enough view
+  'quick-drive': { label: 'Quick Drive', weights: { obstruction: 35, elevation: 10, distance: 45, clearance: 10 } }
+};
+
+// Elevation earns full points at this height when the search has too little relief to compare against
+const ELEVATION_SCALE = 1000;
+// Below this spread of candidate elevations, fall back to ELEVATION_SCALE
+const MIN_RELIEF = 50;
+// Ground slope in degrees: no penalty up to FLAT_SLOPE, the full penalty from STEEP_SLOPE
+const FLAT_SLOPE = 8;
+const STEEP_SLOPE = 30;
+// Mean height difference in meters to neighbours 30m away above which ground counts as rough
+const ROUGH_GROUND = 6;
+
+/**
+ * Name the preset matching a set of weights, or 'custom'.
+ */
+export function findWeightPreset(weights) {
+  const keys = Object.keys(DEFAULT_WEIGHTS);
+  const match = Object.entries(WEIGHT_PRESETS)
+    .find(([, preset]) => keys.every(k => preset.weights[k] === weights[k]));
+  return match ? match[0] : 'custom';
+}
 
 /**
  * Score a single candidate viewpoint.
  * Higher score = better sunset spot.
+ * Each component rates the candidate 0-1 and earns that share of its weight;
+ * weights are rescaled to total 100.
  * @param {object} candidate - viewshed-analyzed candidate point
- * @param {object} options - {centerLat, centerLng, maxRadius}
+ * @param {object} options - {centerLat, centerLng, maxRadius, rankBy,
+ *   weights: {obstruction, elevation, distance, clearance},
+ *   elevationRange: {min, max} of the candidates being compared,
+ *   waterBonus: points added for a sea or lake horizon,
+ *   slopePenalty: points taken off for ground too steep to stand on}
  * @returns {number} composite score 0-100
  */
 export function scoreCandidate(candidate, options = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+  const totalWeight = Object.keys(DEFAULT_WEIGHTS).reduce((sum, k) => sum + weights[k], 0);
   let score = 0;
 
-  // 1. Obstruction score (0-40 points): lower obstruction angle = better
-  if (candidate.isClear) {
+  // 1. Obstruction: lower obstruction angle = better
+  let obstruction;
+  if (options.rankBy === 'glow' && candidate.glowOpen != null) {
+    // Twilight: share of the afterglow's arc in view, not just the bearing over the sun
+    obstruction = candidate.glowOpen;
+  } else if (options.rankBy === 'duration' && candidate.sweepMinutes > 0) {
+    // Golden-hour sweep: share of the descent with the sun in view
+    obstruction = Math.min(1, candidate.visibleMinutes / candidate.sweepMinutes);
+  } else if (candidate.isClear) {
     // Negative obstruction angle means horizon is below — great
-    const obstructionBonus = Math.min(40, 40 + candidate.obstructionAngle * (-4));
-    score += Math.max(0, Math.min(40, obstructionBonus));
+    obstruction = 1 - candidate.obstructionAngle / 10;
   } else {
-    // Obstructed: score drops based on how bad it is
-    score += Math.max(0, 20 - candidate.obstructionAngle * 4);
+    // Obstructed: at most half marks, dropping with how bad it is
+    obstruction = 0.5 - candidate.obstructionAngle / 10;
   }
+  score += clamp01(obstruction) * weights.obstruction;
 
-  // 2. Elevation advantage (0-30 points): higher is generally better
-  const elevNormalized = Math.min(candidate.elevation / 1000, 1); // normalize to 0-1 over 1000m
-  score += elevNormalized * 30;
+  // 2. Elevation advantage: higher is generally better, relative to the area's relief
+  const range = options.elevationRange;
+  const elevNormalized = range && range.max - range.min >= MIN_RELIEF
+    ? (candidate.elevation - range.min) / (range.max - range.min)
+    : candidate.elevation / ELEVATION_SCALE;
+  score += clamp01(elevNormalized) * weights.elevation;
 
-  // 3. Distance penalty (0-15 points): closer to center is more convenient
+  // 3. Distance: closer to center is more convenient
   if (options.centerLat !== undefined && options.maxRadius) {
     const dist = haversine(options.centerLat, options.centerLng, candidate.lat, candidate.lng);
-    const distRatio = 1 - Math.min(dist / options.maxRadius, 1);
-    score += distRatio * 15;
+    score += (1 - Math.min(dist / options.maxRadius, 1)) * weights.distance;
   } else {
-    score += 10;
+    score += (2 / 3) * weights.distance;
   }
 
-  // 4. View clearance margin (0-15 points): how far below horizon is the obstruction
-  if (candidate.obstructionAngle < 0) {
-    score += Math.min(15, Math.abs(candidate.obstructionAngle) * 5);
+  // 4. View clearance margin: how far below horizon is the obstruction, across the glow in twilight
+  const clearanceAngle = options.rankBy === 'glow' && candidate.glowObstruction != null
+    ? candidate.glowObstruction
+    : candidate.obstructionAngle;
+  if (clearanceAngle < 0) {
+    score += Math.min(1, Math.abs(clearanceAngle) / 3) * weights.clearance;
+  }
+
+  if (totalWeight > 0) score *= 100 / totalWeight;
+
+  // 5. Water horizon bonus: the sun sets into open water
+  if (options.waterBonus && isWaterHorizon(candidate)) {
+    score += options.waterBonus;
+  }
+
+  // 6. Slope penalty: cliff faces and steep slopes are no place for a tripod
+  if (options.slopePenalty && candidate.slope != null) {
+    score -= clamp01((candidate.slope - FLAT_SLOPE) / (STEEP_SLOPE - FLAT_SLOPE)) * options.slopePenalty;
   }
 
   return Math.max(0, Math.min(100, Math.round(score)));
 }
 
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Non-maximum suppression: keep the best candidate in each area, so a top list
+ * shows distinct places rather than adjacent cells on the same ridge.
+ * Each candidate within `minSeparation` of a better-ranked winner is grouped under it.
+ * @param {Array} ranked - candidates sorted best first
+ * @param {number} minSeparation - meters; 0 keeps every candidate
+ * @returns {Array} winners, best first, each with `neighbours` (ranked, best first)
+ */
+export function suppressNeighbours(ranked, minSeparation) {
+  if (!(minSeparation > 0) || ranked.length === 0) {
+    return ranked.map(c => ({ ...c, neighbours: [] }));
+  }
+
+  // Bucket winners into cells one separation wide; only adjacent cells can hold a winner in range
+  const metersPerLat = 111320;
+  const metersPerLng = metersPerLat * Math.cos(ranked[0].lat * DEG2RAD);
+  const cellOf = c => [
+    Math.floor(c.lat * metersPerLat / minSeparation),
+    Math.floor(c.lng * metersPerLng / minSeparation)
+  ];
+  const cells = new Map();
+  const winners = [];
+
+  for (const c of ranked) {
+    const [row, col] = cellOf(c);
+    let winner = null;
+    for (let dr = -1; dr <= 1 && !winner; dr++) {
+      for (let dc = -1; dc <= 1 && !winner; dc++) {
+        for (const w of cells.get(`${row + dr},${col + dc}`) || []) {
+          if (haversine(w.lat, w.lng, c.lat, c.lng) < minSeparation) {
+            winner = w;
+            break;
+          }
+        }
+      }
+    }
+
+    if (winner) {
+      winner.neighbours.push(c);
+    } else {
+      const w = { ...c, neighbours: [] };
+      winners.push(w);
+      const key = `${row},${col}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(w);
+    }
+  }
+
+  return winners;
+}
+
+/**
+ * Lowest and highest elevation among candidates.
+ * @returns {{min: number, max: number}|null}
+ */
+export function elevationRange(candidates) {
+  if (candidates.length === 0) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const c of candidates) {
+    min = Math.min(min, c.elevation);
+    max = Math.max(max, c.elevation);
+  }
+  return { min, max };
+}
+
 /**
  * Score and rank all candidate points.
  * @param {Array} candidates - viewshed-analyzed candidates
@@ -51,9 +189,13 @@ export function scoreCandidate(candidate, options = {}) {
  * @returns {Array} sorted candidates with score added, best first
  */
 export function rankCandidates(candidates, options = {}) {
+  const scoreOptions = {
+    ...options,
+    elevationRange: options.elevationRange ?? elevationRange(candidates)
+  };
   const scored = candidates.map(c => ({
     ...c,
-    score: scoreCandidate(c, options)
+    score: scoreCandidate(c, scoreOptions)
   }));
 
   scored.sort((a, b) => b.score - a.score);
@@ -64,12 +206,51 @@ export function rankCandidates(candidates, options = {}) {
   return scored;
 }
 
+/**
+ * Whether a candidate's horizon is open water (sea or lake).
+ */
+export function isWaterHorizon(candidate) {
+  return candidate.horizonType === 'sea' || candidate.horizonType === 'lake';
+}
+
+const HORIZON_LABELS = {
+  sea: 'Sea horizon',
+  lake: 'Lake horizon',
+  plain: 'Open-plain horizon',
+  terrain: 'Terrain horizon'
+};
+
+/**
+ * Describe what forms a candidate's horizon and how far away it is, or '' if unknown.
+ */
+export function getHorizonSummary(candidate) {
+  const label = HORIZON_LABELS[candidate.horizonType];
+  if (!label) return '';
+  return `${label} ${formatDistance(candidate.horizonDistance)} away`;
+}
+
+/**
+ * Describe the ground a candidate stands on, or '' if its slope is unknown.
+ */
+export function getGroundSummary(candidate) {
+  if (candidate.slope == null) return '';
+
+  const slope = Math.round(candidate.slope);
+  const ground = candidate.slope < FLAT_SLOPE
+    ? `Level ground (${slope}° slope)`
+    : `Ground slopes ${slope}° facing ${azimuthToCompass(candidate.aspect)}`;
+  return candidate.roughness > ROUGH_GROUND ? `${ground} · rough terrain` : ground;
+}
+
 /**
  * Get a human-readable verdict for a candidate.
  */
 export function getVerdict(candidate) {
+  if (candidate.glowOpen != null) {
+    return `${Math.round(candidate.glowOpen * 100)}% of the twilight glow in view from ${Math.round(candidate.elevation)}m elevation`;
+  }
   if (candidate.isClear) {
-    return `Unobstructed sunset view from ${Math.round(candidate.elevation)}m elevation`;
+    return `Unobstructed ${candidate.mode || 'sunset'} view from ${Math.round(candidate.elevation)}m elevation`;
   }
 
   const blockerDist = candidate.maxBlockerDistance;
@@ -80,6 +261,40 @@ export function getVerdict(candidate) {
   return `Blocked by terrain ${distStr} away (${candidate.obstructionAngle.toFixed(1)}° obstruction)`;
 }
 
+/**
+ * Summarize a golden-hour sweep result, or '' if the candidate was not swept.
+ */
+export function getSweepSummary(candidate) {
+  if (candidate.sweepMinutes == null) return '';
+
+  const visible = `${bodyName(candidate)} visible ${candidate.visibleMinutes} of ${candidate.sweepMinutes} min`;
+  if (candidate.sunClearsAt) return `${visible} · clears terrain at ${formatTime(candidate.sunClearsAt)}`;
+  if (candidate.sunHiddenAt) return `${visible} · behind terrain at ${formatTime(candidate.sunHiddenAt)}`;
+  return visible;
+}
+
+/**
+ * Compare a candidate's terrain-limited sunset/sunrise (or moonrise/moonset) with the astronomical one.
+ */
+export function getLocalTimeSummary(candidate) {
+  // In twilight the sun is already down, so terrain doesn't move the event
+  if (!candidate.targetTime || isTwilightMode(candidate.mode)) return '';
+
+  const label = candidate.mode || 'sunset';
+  const astronomical = formatTime(candidate.targetTime);
+  if (!candidate.localEventTime) {
+    return `${bodyName(candidate)} never clears the terrain (astronomical ${label} ${astronomical})`;
+  }
+  return `Local ${label} ${formatTime(candidate.localEventTime)} · astronomical ${astronomical}`;
+}
+
+/**
+ * 'Moon' for candidates analyzed in a moon mode, else 'Sun'.
+ */
+function bodyName(candidate) {
+  return isMoonMode(candidate.mode) ? 'Moon' : 'Sun';
+}
+
 /**
  * Get score color for map display.
  * @returns {string} hex color
@@ -1,31 +1,101 @@
 /**
  * Solar calculations using suncalc library.
- * Computes sunset/sunrise times, azimuth, golden hour.
+ * Computes sunset/sunrise times, azimuth, golden hour and the twilight windows.
  */
 import SunCalc from 'suncalc';
-import { RAD2DEG } from './utils.js';
+import { RAD2DEG, SUN_HORIZON_OFFSET } from './utils.js';
+
+const GLOW_HALF_WIDTH = 30; // degrees either side of the sun the afterglow spreads
+const GLOW_STEP = 7.5;      // degrees between rays across the glow
+
+const midpoint = (a, b) => new Date((a.getTime() + b.getTime()) / 2);
+// Signed difference a - b between two bearings, in (-180, 180]
+const angleDiff = (a, b) => 180 - (((180 - (a - b)) % 360) + 360) % 360;
+
+/**
+ * Twilight windows from suncalc's times, for the evening and the morning.
+ * Blue hour straddles the end of civil twilight (the sun about 3.5° to 9° down).
+ */
+const TWILIGHTS = {
+  civil: {
+    label: 'Civil twilight',
+    evening: t => [t.sunset, t.dusk],
+    morning: t => [t.dawn, t.sunrise]
+  },
+  'blue-hour': {
+    label: 'Blue hour',
+    evening: t => [midpoint(t.sunset, t.dusk), midpoint(t.dusk, t.nauticalDusk)],
+    morning: t => [midpoint(t.nauticalDawn, t.dawn), midpoint(t.dawn, t.sunrise)]
+  },
+  nautical: {
+    label: 'Nautical twilight',
+    evening: t => [t.dusk, t.nauticalDusk],
+    morning: t => [t.nauticalDawn, t.dawn]
+  }
+};
+
+/**
+ * The twilight a mode aims at, e.g. 'blue-hour-dusk', or null for other modes.
+ * @returns {{kind: string, evening: boolean}|null}
+ */
+function parseTwilightMode(mode) {
+  const match = /^(civil|blue-hour|nautical)-(dusk|dawn)$/.exec(mode);
+  return match ? { kind: match[1], evening: match[2] === 'dusk' } : null;
+}
+
+/**
+ * Whether a mode aims at a twilight window rather than the sun's disc.
+ */
+export function isTwilightMode(mode) {
+  return parseTwilightMode(mode) !== null;
+}
+
+/**
+ * The evening's (or morning's) twilight windows in order, each {label, start, end};
+ * a window is left out on days the sun doesn't sink that far (high-latitude summers).
+ */
+function getTwilightWindows(times, evening) {
+  return Object.values(TWILIGHTS)
+    .map(({ label, ...window }) => {
+      const [start, end] = (evening ? window.evening : window.morning)(times);
+      return { label, start, end };
+    })
+    .filter(w => !isNaN(w.start.getTime()) && !isNaN(w.end.getTime()))
+    .sort((a, b) => a.start - b.start);
+}
 
 /**
  * Get comprehensive sun data for a location and date.
+ * In the twilight modes the target is the middle of the twilight window, and the
+ * azimuth the sun's bearing below the horizon then, where the glow is centred.
  * @param {number} lat
  * @param {number} lng
  * @param {Date} date
- * @param {string} mode - 'sunset' or 'sunrise'
- * @returns {object} Sun data including times and azimuth
+ * @param {string} mode - 'sunset', 'sunrise' or a twilight mode such as 'blue-hour-dusk'
+ * @returns {object} Sun data including times and azimuth; in the twilight modes
+ *   targetTime, azimuth and altitude are null on days without that twilight
  */
 export function getSunData(lat, lng, date, mode = 'sunset') {
   const times = SunCalc.getTimes(date, lat, lng);
+  const twilight = parseTwilightMode(mode);
+  const evening = twilight ? twilight.evening : mode === 'sunset';
 
-  const targetTime = mode === 'sunset' ? times.sunset : times.sunrise;
-  const goldenHourStart = mode === 'sunset' ? times.goldenHour : times.sunrise;
-  const goldenHourEnd = mode === 'sunset' ? times.sunset : times.goldenHourEnd;
+  let targetTime = evening ? times.sunset : times.sunrise;
+  let twilightWindow = null;
+  if (twilight) {
+    const [start, end] = TWILIGHTS[twilight.kind][evening ? 'evening' : 'morning'](times);
+    twilightWindow = isNaN(start.getTime()) || isNaN(end.getTime()) ? null : { start, end };
+    targetTime = twilightWindow ? midpoint(start, end) : null;
+  }
+  const goldenHourStart = evening ? times.goldenHour : times.sunrise;
+  const goldenHourEnd = evening ? times.sunset : times.goldenHourEnd;
 
   // Get sun position at the target event time
-  const sunPosition = SunCalc.getPosition(targetTime, lat, lng);
+  const sunPosition = targetTime ? SunCalc.getPosition(targetTime, lat, lng) : null;
 
   // suncalc azimuth: 0 = south, positive = west. Convert to compass bearing (0 = north).
-  const azimuthDeg = ((sunPosition.azimuth * RAD2DEG) + 180 + 360) % 360;
-  const altitudeDeg = sunPosition.altitude * RAD2DEG;
+  const azimuthDeg = sunPosition ? ((sunPosition.azimuth * RAD2DEG) + 180 + 360) % 360 : null;
+  const altitudeDeg = sunPosition ? sunPosition.altitude * RAD2DEG : null;
 
   return {
     mode,
@@ -40,10 +110,27 @@ export function getSunData(lat, lng, date, mode = 'sunset') {
     dawn: times.dawn,
     dusk: times.dusk,
     nauticalDawn: times.nauticalDawn,
-    nauticalDusk: times.nauticalDusk
+    nauticalDusk: times.nauticalDusk,
+    twilightWindow,
+    twilightWindows: getTwilightWindows(times, evening)
   };
 }
 
+/**
+ * Bearings across the afterglow, centred on the sun's azimuth below the horizon.
+ * Ordered from the edges in, so the last bearing is the one over the sun,
+ * as the last step of a sweep is the event bearing.
+ * @returns {Array<number>}
+ */
+export function getGlowArc(azimuth, halfWidth = GLOW_HALF_WIDTH, step = GLOW_STEP) {
+  const bearings = [];
+  for (let offset = halfWidth; offset > 0; offset -= step) {
+    bearings.push((azimuth + offset) % 360, (azimuth - offset + 360) % 360);
+  }
+  bearings.push(azimuth);
+  return bearings;
+}
+
 /**
  * Get the sun altitude at a specific time and location.
  */
@@ -59,3 +146,98 @@ export function getSunAzimuth(lat, lng, time) {
   const pos = SunCalc.getPosition(time, lat, lng);
   return ((pos.azimuth * RAD2DEG) + 180 + 360) % 360;
 }
+
+/**
+ * Sample the sun's position between two times at a fixed step.
+ * The end time is always included as the final sample.
+ * @returns {Array<{time: Date, azimuth: number, altitude: number}>}
+ */
+export function getSunPath(lat, lng, startTime, endTime, stepMinutes = 10) {
+  const start = startTime.getTime();
+  const end = endTime.getTime();
+  const stepMs = stepMinutes * 60000;
+  const path = [];
+
+  for (let t = start; t < end; t += stepMs) {
+    const time = new Date(t);
+    path.push({ time, azimuth: getSunAzimuth(lat, lng, time), altitude: getSunAltitude(lat, lng, time) });
+  }
+  path.push({ time: new Date(end), azimuth: getSunAzimuth(lat, lng, endTime), altitude: getSunAltitude(lat, lng, endTime) });
+
+  return path;
+}
+
+/**
+ * Sample the sun through the golden hour, ordered toward the horizon event:
+ * forward in time for sunset, backward from the end of golden hour for sunrise.
+ * The last sample is always the event itself (sunData.targetTime).
+ */
+export function getGoldenHourPath(lat, lng, sunData, stepMinutes = 10) {
+  const path = getSunPath(lat, lng, sunData.goldenHourStart, sunData.goldenHourEnd, stepMinutes);
+  return sunData.mode === 'sunrise' ? path.reverse() : path;
+}
+
+/**
+ * Find when the sun's upper limb crosses a terrain horizon at a given angle.
+ * Searches the half-day between solar noon and nadir, where altitude is monotonic.
+ * @returns {Date|null} null if the sun never clears (or never drops behind) that horizon
+ */
+function crossHorizonAngle(lat, lng, date, mode, horizonAngle) {
+  const noon = SunCalc.getTimes(date, lat, lng).solarNoon.getTime();
+  const halfDay = 12 * 3600000;
+  const margin = t => getSunAltitude(lat, lng, new Date(t)) + SUN_HORIZON_OFFSET - horizonAngle;
+
+  // `above` is the end of the window where the sun is up, `below` where it is down
+  let above = noon;
+  let below = mode === 'sunset' ? noon + halfDay : noon - halfDay;
+  if (margin(above) <= 0 || margin(below) > 0) return null;
+  return bisectCrossing(margin, above, below);
+}
+
+/**
+ * Bisect to the second between a time the margin is positive and one it isn't.
+ */
+function bisectCrossing(margin, above, below) {
+  while (Math.abs(below - above) > 1000) {
+    const mid = (above + below) / 2;
+    if (margin(mid) > 0) above = mid;
+    else below = mid;
+  }
+  return new Date(Math.round((above + below) / 2));
+}
+
+/**
+ * Find when the sun's upper limb crosses the terrain horizon — the terrain-limited
+ * sunset (or sunrise) for a spot.
+ * With a horizon track the terrain is read at the sun's azimuth: the sun drops behind it
+ * between the last clear step and the next, where the terrain angle is interpolated
+ * between their two rays. A sun hidden from the track's first step, or clear to its
+ * event, crosses beyond the track, taken at the nearest ray's angle.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Date} date
+ * @param {string} mode - 'sunset' or 'sunrise'
+ * @param {number|Array} horizon - terrain elevation angle toward the sun in degrees, or a
+ *   horizonTrack from computeSweep(): [{time, azimuth, altitude, angle}] ordered toward the event
+ * @returns {Date|null} null if the sun never clears (or never drops behind) that horizon
+ */
+export function getLocalEventTime(lat, lng, date, mode, horizon) {
+  if (!Array.isArray(horizon)) return crossHorizonAngle(lat, lng, date, mode, horizon);
+
+  const hidden = horizon.findIndex(step => step.altitude + SUN_HORIZON_OFFSET <= step.angle);
+  if (hidden === 0) return crossHorizonAngle(lat, lng, date, mode, horizon[0].angle);
+  if (hidden === -1) return crossHorizonAngle(lat, lng, date, mode, horizon[horizon.length - 1].angle);
+
+  const a = horizon[hidden - 1];
+  const b = horizon[hidden];
+  const span = angleDiff(b.azimuth, a.azimuth);
+  const angleAt = azimuth => {
+    const f = span === 0 ? 0 : Math.min(1, Math.max(0, angleDiff(azimuth, a.azimuth) / span));
+    return a.angle + f * (b.angle - a.angle);
+  };
+  const margin = t => {
+    const time = new Date(t);
+    return getSunAltitude(lat, lng, time) + SUN_HORIZON_OFFSET - angleAt(getSunAzimuth(lat, lng, time));
+  };
+  return bisectCrossing(margin, a.time.getTime(), b.time.getTime());
+}
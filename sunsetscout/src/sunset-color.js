@@ -0,0 +1,119 @@
+/**
+ * Sunset colour prediction from the forecast at the sunset hour.
+ *
+ * A sunset colours well when the sun, already below the clouds, lights up a canvas
+ * of mid and high cloud overhead, through clear, moderately hazy air. The model
+ * starts from a clear-sky base and adds or takes off points for each factor:
+ *
+ *   canvas     mid/high cloud within 100 km     up to +40, best around 50% cover
+ *   horizon    clear gap toward the sun, 50 km+  +10 when open, down to -45 when shut
+ *   overcast   low cloud at the observer         down to -25
+ *   humidity   relative humidity above 70%       down to -10, moist air mutes colours
+ *   aerosol    aerosol optical depth (AOD)       +5 for light haze, down to -15 for smoke or dust
+ *   rain       precipitation probability > 30%   down to -30
+ *   visibility below 10 km                       down to -15
+ *
+ * The result is clamped to 0-100 and read as the chance of a colourful sunset.
+ */
+
+const BASE_SCORE = 30; // a clear, dry sky gives a clean but short-lived glow
+
+const CANVAS_REACH = 100;   // km from the observer whose mid/high cloud forms the canvas
+const HORIZON_START = 50;   // km toward the sun beyond which cloud blocks the light
+
+/** Labels by probability, best first; `class` matches the weather badge styles. */
+const RATINGS = [
+  { min: 70, label: 'Amazing', class: 'amazing', icon: '🌅' },
+  { min: 50, label: 'Great', class: 'great', icon: '🌇' },
+  { min: 30, label: 'Fair', class: 'fair', icon: '⛅' },
+  { min: 0, label: 'Poor', class: 'poor', icon: '☁' }
+];
+
+/**
+ * Points for the cloud canvas: none without cloud, full at 40-60% cover, less
+ * again as it closes into an overcast the sun cannot get under.
+ */
+function canvasPoints(cover) {
+  if (cover <= 40) return cover;
+  if (cover <= 60) return 40;
+  return 40 * Math.max(0.25, 1 - (cover - 60) / 53);
+}
+
+/**
+ * Predict sunset colour from conditions at the sunset hour.
+ * @param {object} conditions - {cloudCover, cloudPath, humidity, aerosol, precipProbability, visibility}
+ *   cloudPath [{distance, low, mid, high}] in km and %, from the observer toward the sun;
+ *   any other field may be null when the forecast lacks it
+ * @returns {{probability, label, class, icon, description, factors}} factors are
+ *   [{key, label, points}], largest effect first
+ */
+export function predictSunsetColor(conditions) {
+  const { cloudCover = null, cloudPath = [], humidity = null, aerosol = null, precipProbability = null, visibility = null } = conditions;
+  const factors = [];
+  const add = (key, points, label) => {
+    if (Math.round(points) !== 0) factors.push({ key, label, points: Math.round(points) });
+  };
+
+  const near = cloudPath.filter(p => p.distance <= CANVAS_REACH);
+  const far = cloudPath.filter(p => p.distance >= HORIZON_START);
+
+  if (near.length > 0) {
+    // Canvas: the denser of the mid and high layers, averaged over the near samples
+    const canvas = near.reduce((sum, p) => sum + Math.max(p.mid, p.high), 0) / near.length;
+    add('canvas', canvasPoints(canvas), canvas < 10
+      ? 'Clear sky overhead, no clouds to light up'
+      : `${Math.round(canvas)}% mid/high cloud to catch the light`);
+
+    const overcast = near[0].low;
+    add('overcast', -25 * Math.max(0, overcast - 30) / 70, `${overcast}% low cloud overhead`);
+  } else if (cloudCover != null) {
+    // Without layers, total cover stands in for the canvas
+    add('canvas', canvasPoints(cloudCover), `${cloudCover}% cloud cover`);
+  }
+
+  if (far.length > 0) {
+    // Horizon gap: the sun must shine under the clouds, so any low (and some mid) cloud far toward it blocks
+    const block = Math.max(...far.map(p => Math.min(100, p.low + p.mid / 2)));
+    add('horizon', block <= 20 ? 10 : 10 - 55 * (block - 20) / 80, block <= 20
+      ? 'Clear gap at the horizon toward the sun'
+      : `Horizon toward the sun ${Math.round(block)}% blocked by low cloud`);
+  }
+
+  if (humidity != null) {
+    add('humidity', -10 * Math.max(0, Math.min(1, (humidity - 70) / 30)), `Humid air (${humidity}%) mutes colours`);
+  }
+
+  if (aerosol != null) {
+    const points = aerosol <= 0.3
+      ? (aerosol >= 0.1 ? 5 : 0)
+      : -15 * Math.min(1, (aerosol - 0.3) / 0.5);
+    add('aerosol', points, points > 0
+      ? 'Light haze deepens the reds'
+      : `Heavy haze (AOD ${aerosol.toFixed(2)}) dims the sun`);
+  }
+
+  if (precipProbability != null) {
+    add('rain', -30 * Math.max(0, (precipProbability - 30) / 70), `${precipProbability}% chance of rain`);
+  }
+
+  if (visibility != null) {
+    add('visibility', -15 * Math.max(0, Math.min(1, (10000 - visibility) / 8000)),
+      `Visibility ${(visibility / 1000).toFixed(0)} km`);
+  }
+
+  const probability = Math.max(0, Math.min(100,
+    Math.round(BASE_SCORE + factors.reduce((sum, f) => sum + f.points, 0))));
+  factors.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+  const rating = RATINGS.find(r => probability >= r.min);
+  return {
+    probability,
+    label: rating.label,
+    class: rating.class,
+    icon: rating.icon,
+    description: factors.length > 0
+      ? factors.slice(0, 2).map(f => f.label).join(' · ')
+      : 'Not enough forecast data to judge the colours',
+    factors
+  };
+}
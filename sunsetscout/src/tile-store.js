@@ -0,0 +1,163 @@
+/**
+ * Persistent terrain tile store backed by IndexedDB.
+ * Keeps raw tile PNGs across reloads so revisited areas need no downloads,
+ * bounded by a byte budget with least-recently-used eviction.
+ * Every call degrades to a no-op when IndexedDB is unavailable (private mode, tests).
+ */
+
+const DB_NAME = 'sunsetscout-tiles';
+const DB_VERSION = 1;
+const STORE = 'tiles';
+const USAGE_INDEX = 'usage'; // [lastUsed, size] of every tile, read without touching its blob
+const MAX_STORE_BYTES = 150 * 1024 * 1024;
+const EVICTION_DELAY = 2000; // ms after the last write before trimming
+
+let dbPromise = null;
+let evictionTimer = null;
+
+/** Open (once) the tile database, or resolve null without IndexedDB. */
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+      store.createIndex(USAGE_INDEX, ['lastUsed', 'size']);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('Tile store unavailable:', request.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+/** Wrap an IDBRequest in a promise. */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** List {key, size, lastUsed} for every stored tile, from the usage index alone. */
+function listEntries(store) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const cursorRequest = store.index(USAGE_INDEX).openKeyCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+      const [lastUsed, size] = cursor.key;
+      entries.push({ key: cursor.primaryKey, size, lastUsed });
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+/**
+ * Pick which entries to evict, oldest use first, to bring the total under a byte budget.
+ * @param {Array<{key, size, lastUsed}>} entries
+ * @returns {Array<string>} keys to delete
+ */
+export function selectEvictions(entries, maxBytes = MAX_STORE_BYTES) {
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+  const evict = [];
+
+  for (const entry of [...entries].sort((a, b) => a.lastUsed - b.lastUsed)) {
+    if (total <= maxBytes) break;
+    evict.push(entry.key);
+    total -= entry.size;
+  }
+  return evict;
+}
+
+/**
+ * Read a stored tile, marking it as recently used.
+ * @returns {Promise<Blob|null>}
+ */
+export async function getStoredTile(key) {
+  const db = await openDb();
+  if (!db) return null;
+
+  try {
+    const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+    const entry = await promisify(store.get(key));
+    if (!entry) return null;
+    store.put({ ...entry, lastUsed: Date.now() });
+    return entry.blob;
+  } catch (err) {
+    console.warn(`Tile store read failed for ${key}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Store a tile and schedule LRU trimming.
+ */
+export async function putStoredTile(key, blob) {
+  const db = await openDb();
+  if (!db) return;
+
+  try {
+    const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+    await promisify(store.put({ key, blob, size: blob.size, lastUsed: Date.now() }));
+  } catch (err) {
+    console.warn(`Tile store write failed for ${key}:`, err);
+    return;
+  }
+
+  clearTimeout(evictionTimer);
+  evictionTimer = setTimeout(() => {
+    evictStoredTiles().catch(err => console.warn('Tile store eviction failed:', err));
+  }, EVICTION_DELAY);
+}
+
+/**
+ * Trim the store to its byte budget, least recently used first.
+ */
+export async function evictStoredTiles(maxBytes = MAX_STORE_BYTES) {
+  const db = await openDb();
+  if (!db) return;
+
+  const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+  const entries = await listEntries(store);
+
+  for (const key of selectEvictions(entries, maxBytes)) {
+    store.delete(key);
+  }
+}
+
+/**
+ * Count stored tiles and their total size.
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function getTileStoreStats() {
+  const db = await openDb();
+  if (!db) return { count: 0, bytes: 0 };
+
+  const entries = await listEntries(db.transaction(STORE, 'readonly').objectStore(STORE));
+  return {
+    count: entries.length,
+    bytes: entries.reduce((sum, e) => sum + e.size, 0)
+  };
+}
+
+/**
+ * Delete every stored tile.
+ */
+export async function clearTileStore() {
+  const db = await openDb();
+  if (!db) return;
+  await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+}
@@ -0,0 +1,119 @@
+/**
+ * Time zone of the searched location, so sun times, forecast hours and the date
+ * picker follow the location's wall clock rather than the browser's.
+ * The IANA zone comes from Open-Meteo, which resolves it from timezone boundaries;
+ * offline it falls back to a fixed-offset zone estimated from the longitude.
+ * A null zone means the browser's own throughout.
+ */
+import { fetchWithRetry, isAbortError } from './utils.js';
+
+const TIMEZONE_URL = import.meta.env?.VITE_WEATHER_URL || 'https://api.open-meteo.com/v1/forecast';
+
+// Resolved (or, when the lookup failed, estimated) zones by coordinates rounded to ~1 km
+const zoneCache = new Map();
+
+/**
+ * Fixed-offset IANA zone for a longitude, ignoring borders and daylight saving.
+ */
+export function estimateTimeZone(lng) {
+  const offset = Math.round(lng / 15);
+  if (offset === 0) return 'Etc/GMT';
+  // Etc/GMT zones are named with the sign inverted: UTC+5 is Etc/GMT-5
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+/**
+ * Look up a location's IANA time zone, or estimate it if the lookup fails.
+ * @param {object} options - {signal} to cancel the lookup
+ */
+export async function resolveTimeZone(lat, lng, options = {}) {
+  const key = `${lat.toFixed(2)},${lng.toFixed(2)}`;
+  if (zoneCache.has(key)) return zoneCache.get(key);
+
+  const params = new URLSearchParams({
+    latitude: lat.toFixed(4),
+    longitude: lng.toFixed(4),
+    daily: 'sunset',
+    timezone: 'auto',
+    forecast_days: '1'
+  });
+
+  try {
+    const response = await fetchWithRetry(`${TIMEZONE_URL}?${params}`, { signal: options.signal }, 1);
+    const { timezone } = await response.json();
+    if (!isValidTimeZone(timezone)) throw new Error(`Unknown time zone: ${timezone}`);
+    zoneCache.set(key, timezone);
+    return timezone;
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    console.warn('Time zone lookup failed, estimating from longitude:', err);
+    // Kept like a looked-up zone, so searching here again doesn't wait on a failing lookup
+    const estimate = estimateTimeZone(lng);
+    zoneCache.set(key, estimate);
+    return estimate;
+  }
+}
+
+/**
+ * Whether the runtime knows an IANA zone name.
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a zone.
+ * @returns {{year, month, day, hour, minute}} month 1-12, hour 0-23
+ */
+export function zonedParts(date, timeZone = null) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const field = type => parseInt(parts.find(p => p.type === type).value);
+  return {
+    year: field('year'),
+    month: field('month'),
+    day: field('day'),
+    hour: field('hour'),
+    minute: field('minute')
+  };
+}
+
+/**
+ * Calendar date of an instant in a zone, as YYYY-MM-DD.
+ */
+export function formatDateInZone(date, timeZone = null) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * The instant a zone's clock reads `hour`:00 on a calendar date.
+ * @param {string} dateStr - YYYY-MM-DD
+ */
+export function zonedTime(dateStr, hour, timeZone = null) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, day, hour);
+
+  // Start from the wall time read as UTC and correct by the zone's offset there;
+  // a second pass settles days when the offset changes (daylight saving)
+  let time = target;
+  for (let pass = 0; pass < 2; pass++) {
+    const p = zonedParts(new Date(time), timeZone);
+    time += target - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  }
+  return new Date(time);
+}
@@ -1,22 +1,67 @@
 /**
  * UI module: sidebar, controls, state management.
  */
-import { formatTime, azimuthToCompass, formatDistance, haversine } from './utils.js';
-import { getScoreColor, getVerdict } from './scorer.js';
+import { formatTime, azimuthToCompass, formatDistance, haversine, setDisplayTimeZone, DEFAULT_REFRACTION } from './utils.js';
+import { formatDateInZone, zonedTime } from './timezone.js';
+import { bestDayIndex } from './planner.js';
+import { isMoonMode } from './lunar.js';
+import { isTwilightMode } from './solar.js';
+import {
+  getScoreColor, getVerdict, getSweepSummary, getLocalTimeSummary, getHorizonSummary,
+  DEFAULT_WEIGHTS, WEIGHT_PRESETS, findWeightPreset
+} from './scorer.js';
+import { renderCloudSection } from './weather.js';
+
+// Standing eye level, in meters above the ground
+const DEFAULT_OBSERVER_HEIGHT = 1.7;
+// Score points added for a sea or lake horizon
+const DEFAULT_WATER_BONUS = 10;
+// Score points taken off for ground too steep to stand on
+const DEFAULT_SLOPE_PENALTY = 20;
+// Minimum distance in meters between spots in the top lists
+const DEFAULT_MIN_SEPARATION = 1000;
+// Suppressed neighbours listed under each top spot
+const MAX_LISTED_NEIGHBOURS = 5;
+// Scoring components in the order the share URL lists their weights
+const WEIGHT_KEYS = Object.keys(DEFAULT_WEIGHTS);
+
+/** Modes as the mode picker lists them, by group. */
+const MODES = [
+  { id: 'sunset', label: 'Sunset', icon: '🌅', group: 'Sun' },
+  { id: 'sunrise', label: 'Sunrise', icon: '🌄', group: 'Sun' },
+  { id: 'civil-dusk', label: 'Civil dusk', icon: '🌆', group: 'Twilight' },
+  { id: 'blue-hour-dusk', label: 'Evening blue hour', icon: '🌃', group: 'Twilight' },
+  { id: 'nautical-dusk', label: 'Nautical dusk', icon: '🌌', group: 'Twilight' },
+  { id: 'nautical-dawn', label: 'Nautical dawn', icon: '🌌', group: 'Twilight' },
+  { id: 'blue-hour-dawn', label: 'Morning blue hour', icon: '🌃', group: 'Twilight' },
+  { id: 'civil-dawn', label: 'Civil dawn', icon: '🌆', group: 'Twilight' },
+  { id: 'moonrise', label: 'Moonrise', icon: '🌕', group: 'Moon' },
+  { id: 'moonset', label: 'Moonset', icon: '🌖', group: 'Moon' }
+];
 
 /**
  * Application state.
  */
 export const state = {
   location: null,
+  // Noon on the picked date, on the location's clock
   date: new Date(),
+  timeZone: null, // the location's IANA zone; null until one is resolved
   radius: 10000,
   mode: 'sunset',
+  refraction: DEFAULT_REFRACTION,
+  observerHeight: DEFAULT_OBSERVER_HEIGHT,
   sunData: null,
   weather: null,
   candidates: [],
   isLoading: false,
-  weatherEnabled: true
+  weatherEnabled: true,
+  goldenHourSweep: false,
+  waterBonus: DEFAULT_WATER_BONUS,
+  waterOnly: false,
+  slopePenalty: DEFAULT_SLOPE_PENALTY,
+  minSeparation: DEFAULT_MIN_SEPARATION,
+  weights: { ...DEFAULT_WEIGHTS }
 };
 
 /**
@@ -28,8 +73,15 @@ export function initUI(callbacks) {
   const dateInput = document.getElementById('date-input');
   const radiusSlider = document.getElementById('radius-slider');
   const radiusValue = document.getElementById('radius-value');
-  const modeToggle = document.getElementById('mode-toggle');
+  const refractionInput = document.getElementById('refraction-input');
+  const heightInput = document.getElementById('height-input');
+  const modeSelect = document.getElementById('mode-select');
   const weatherToggle = document.getElementById('weather-toggle');
+  const sweepToggle = document.getElementById('sweep-toggle');
+  const waterBonusInput = document.getElementById('water-bonus-input');
+  const waterToggle = document.getElementById('water-toggle');
+  const slopePenaltyInput = document.getElementById('slope-penalty-input');
+  const separationInput = document.getElementById('separation-input');
 
   // Set default date to today
   dateInput.value = formatDateInput(state.date);
@@ -40,17 +92,37 @@ export function initUI(callbacks) {
     radiusValue.textContent = `${radiusSlider.value} km`;
   });
 
+  // Observer eye height
+  heightInput.addEventListener('change', () => {
+    const h = parseFloat(heightInput.value);
+    state.observerHeight = isNaN(h) ? DEFAULT_OBSERVER_HEIGHT : Math.max(0, h);
+    heightInput.value = state.observerHeight;
+  });
+
+  // Refraction coefficient
+  refractionInput.addEventListener('change', () => {
+    const k = parseFloat(refractionInput.value);
+    state.refraction = isNaN(k) ? DEFAULT_REFRACTION : Math.max(0, Math.min(1, k));
+    refractionInput.value = state.refraction;
+  });
+
   // Date change
   dateInput.addEventListener('change', () => {
-    const parts = dateInput.value.split('-');
-    state.date = new Date(parts[0], parts[1] - 1, parts[2], 12, 0, 0);
+    state.date = zonedTime(dateInput.value, 12, state.timeZone);
   });
 
-  // Mode toggle
-  modeToggle.addEventListener('click', () => {
-    state.mode = state.mode === 'sunset' ? 'sunrise' : 'sunset';
-    modeToggle.textContent = state.mode === 'sunset' ? '🌅 Sunset' : '🌄 Sunrise';
-    modeToggle.classList.toggle('sunrise-mode', state.mode === 'sunrise');
+  // Mode picker
+  modeSelect.innerHTML = [...new Set(MODES.map(m => m.group))]
+    .map(group => `
+      <optgroup label="${group}">
+        ${MODES.filter(m => m.group === group).map(m => `<option value="${m.id}">${m.icon} ${m.label}</option>`).join('')}
+      </optgroup>
+    `).join('');
+  syncModeSelect();
+
+  modeSelect.addEventListener('change', () => {
+    state.mode = modeSelect.value;
+    syncModeSelect();
     if (state.location && callbacks.onSearch) {
       callbacks.onSearch(null, state.location.lat, state.location.lng);
     }
@@ -63,6 +135,94 @@ export function initUI(callbacks) {
     weatherCard.style.display = state.weatherEnabled ? 'block' : 'none';
   });
 
+  // Golden-hour sweep toggle
+  sweepToggle.addEventListener('change', () => {
+    state.goldenHourSweep = sweepToggle.checked;
+    if (state.location && callbacks.onSearch) {
+      callbacks.onSearch(null, state.location.lat, state.location.lng);
+    }
+  });
+
+  // Water horizons: bonus and filter re-rank the current results without a new run
+  waterBonusInput.addEventListener('change', () => {
+    const bonus = parseFloat(waterBonusInput.value);
+    state.waterBonus = isNaN(bonus) ? DEFAULT_WATER_BONUS : Math.max(0, Math.min(50, bonus));
+    waterBonusInput.value = state.waterBonus;
+    if (callbacks.onRerank) callbacks.onRerank();
+  });
+
+  waterToggle.addEventListener('change', () => {
+    state.waterOnly = waterToggle.checked;
+    if (callbacks.onRerank) callbacks.onRerank();
+  });
+
+  // Steep-ground penalty, 0 to rank cliff faces like any other spot
+  slopePenaltyInput.addEventListener('change', () => {
+    const penalty = parseFloat(slopePenaltyInput.value);
+    state.slopePenalty = isNaN(penalty) ? DEFAULT_SLOPE_PENALTY : Math.max(0, Math.min(50, penalty));
+    slopePenaltyInput.value = state.slopePenalty;
+    if (callbacks.onRerank) callbacks.onRerank();
+  });
+
+  // Minimum spacing of the top spots, 0 to list adjacent cells too
+  separationInput.addEventListener('change', () => {
+    const km = parseFloat(separationInput.value);
+    state.minSeparation = isNaN(km) ? DEFAULT_MIN_SEPARATION : Math.max(0, Math.min(10, km)) * 1000;
+    separationInput.value = state.minSeparation / 1000;
+    if (callbacks.onRerank) callbacks.onRerank();
+  });
+
+  // Scoring weights: a preset fills the sliders, moving a slider makes them custom.
+  // Both re-rank the current results without a new run.
+  const presetSelect = document.getElementById('weights-preset');
+  presetSelect.innerHTML = Object.entries(WEIGHT_PRESETS)
+    .map(([id, preset]) => `<option value="${id}">${preset.label}</option>`)
+    .join('') + '<option value="custom">Custom</option>';
+
+  presetSelect.addEventListener('change', () => {
+    const preset = WEIGHT_PRESETS[presetSelect.value];
+    if (!preset) return;
+    state.weights = { ...preset.weights };
+    syncWeightControls();
+    updateHash();
+    if (callbacks.onRerank) callbacks.onRerank();
+  });
+
+  for (const key of WEIGHT_KEYS) {
+    const slider = document.getElementById(`weight-${key}`);
+    slider.addEventListener('input', () => {
+      state.weights = { ...state.weights, [key]: parseInt(slider.value) };
+      syncWeightControls();
+      if (callbacks.onRerank) callbacks.onRerank();
+    });
+    slider.addEventListener('change', updateHash);
+  }
+  syncWeightControls();
+
+  // Terrain source: tile services need their settings applied, a DEM file applies on pick
+  const providerSelect = document.getElementById('provider-select');
+  const providerOptions = document.getElementById('provider-options');
+  const demFile = document.getElementById('dem-file');
+  const applyProvider = () => {
+    if (!callbacks.onProviderChange) return;
+    callbacks.onProviderChange({
+      kind: providerSelect.value,
+      token: document.getElementById('mapbox-token').value.trim(),
+      url: document.getElementById('tile-url-input').value.trim(),
+      encoding: document.getElementById('tile-encoding').value,
+      file: demFile.files[0] || null
+    });
+  };
+
+  providerSelect.addEventListener('change', () => {
+    providerOptions.dataset.active = providerSelect.value;
+    providerOptions.classList.toggle('active', providerSelect.value !== 'terrarium');
+    setProviderStatus('');
+    if (providerSelect.value === 'terrarium') applyProvider();
+  });
+  document.getElementById('provider-apply').addEventListener('click', applyProvider);
+  demFile.addEventListener('change', applyProvider);
+
   // Search
   const doSearch = () => {
     const query = searchInput.value.trim();
@@ -75,10 +235,173 @@ export function initUI(callbacks) {
     if (e.key === 'Enter') doSearch();
   });
 
+  // Persistent terrain cache
+  document.getElementById('cache-clear-btn').addEventListener('click', () => {
+    if (callbacks.onClearCache) callbacks.onClearCache();
+  });
+
+  // Plan the coming days at the current location
+  document.getElementById('planner-btn').addEventListener('click', () => {
+    if (callbacks.onPlan) callbacks.onPlan();
+  });
+
+  // Cancel the analysis in progress
+  document.getElementById('loading-cancel').addEventListener('click', () => {
+    if (callbacks.onCancel) callbacks.onCancel();
+  });
+
+  // Horizon profile panel
+  document.getElementById('horizon-close').addEventListener('click', hideHorizonPanel);
+
   // Handle URL hash for sharing
   loadFromHash(callbacks);
 }
 
+/**
+ * Show a calendar date in the date picker.
+ * @param {string} dateStr - YYYY-MM-DD
+ */
+export function setDateInput(dateStr) {
+  const dateInput = document.getElementById('date-input');
+  if (dateInput) dateInput.value = dateStr;
+}
+
+/**
+ * Show the planner strip: one tile per day with its best spot and forecast,
+ * the best day highlighted.
+ * @param {Array} days - [{date, score, spotScore, colourChance, quality, best}]
+ * @param {function} onSelect - called with the clicked day
+ */
+export function updatePlanner(days, onSelect) {
+  const card = document.getElementById('planner-card');
+  const best = bestDayIndex(days);
+
+  card.innerHTML = `
+    <h3>Best days ahead</h3>
+    <div class="planner-strip">
+      ${days.map((day, i) => `
+        <button class="planner-day${i === best ? ' best' : ''}" data-index="${i}"
+          title="${day.best ? `Best spot ${Math.round(day.best.elevation)}m, score ${day.spotScore}` : 'No spot found'}${day.quality ? ` · ${day.quality.description}` : ''}">
+          <span class="planner-weekday">${formatDay(day.date, { weekday: 'short' })}</span>
+          <span class="planner-date">${formatDay(day.date, { month: 'short', day: 'numeric' })}</span>
+          <span class="planner-icon">${day.quality ? day.quality.icon : '—'}</span>
+          <span class="planner-score" style="color:${getScoreColor(day.score)}">${day.score}</span>
+          <span class="planner-spot">${day.best ? `${Math.round(day.best.elevation)}m` : ''}</span>
+        </button>
+      `).join('')}
+    </div>
+    <p class="planner-note">Day score blends the best spot with the forecast colour chance${
+      days.some(d => d.colourChance == null) ? '; days beyond the forecast (—) count an even chance' : ''
+    }. Pick a day to see it.</p>
+  `;
+  card.style.display = 'block';
+
+  card.querySelectorAll('.planner-day').forEach(tile => {
+    tile.addEventListener('click', () => {
+      card.querySelectorAll('.planner-day').forEach(t => t.classList.toggle('selected', t === tile));
+      onSelect(days[parseInt(tile.dataset.index)]);
+    });
+  });
+}
+
+/**
+ * Hide the planner strip, e.g. when its location is no longer shown.
+ */
+export function hidePlanner() {
+  const card = document.getElementById('planner-card');
+  if (card) card.style.display = 'none';
+}
+
+/**
+ * List landmark alignments by date.
+ * @param {Array} alignments - from bestAlignments(), one per day
+ * @param {object} landmark - {elevation, height}
+ * @param {string} mode - 'sunset' or 'sunrise', as searched
+ * @param {function} onSelect - called with the clicked alignment
+ */
+export function updateAlignmentList(alignments, landmark, mode, onSelect) {
+  const card = document.getElementById('alignment-card');
+  const top = `${Math.round(landmark.elevation + landmark.height)}m`;
+
+  card.innerHTML = alignments.length === 0
+    ? `
+      <h3>Landmark alignments</h3>
+      <p class="alignment-note">The ${mode === 'sunrise' ? 'rising' : 'setting'} sun never lines up behind this ${top} landmark from within ${state.radius / 1000} km in the coming year.</p>
+    `
+    : `
+      <h3>Landmark alignments</h3>
+      <p class="alignment-note">${alignments.length} days the sun ${mode === 'sunrise' ? 'rises' : 'sets'} behind the ${top} landmark, with the alignment error of the best position.</p>
+      <ul class="alignment-list">
+        ${alignments.map((a, i) => `
+          <li class="alignment-item" data-index="${i}">
+            <span class="alignment-date">${formatDay(a.date, { month: 'short', day: 'numeric' })} · ${formatTime(a.time)}</span>
+            <span class="alignment-where">${formatDistance(a.distance)} ${azimuthToCompass((a.bearing + 180) % 360)} of it</span>
+            <span class="alignment-error">${a.error.toFixed(2)}°</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  card.style.display = 'block';
+
+  card.querySelectorAll('.alignment-item').forEach(item => {
+    item.addEventListener('click', () => {
+      card.querySelectorAll('.alignment-item').forEach(i => i.classList.toggle('selected', i === item));
+      onSelect(alignments[parseInt(item.dataset.index)]);
+    });
+  });
+}
+
+/**
+ * Hide the alignment list.
+ */
+export function hideAlignmentList() {
+  const card = document.getElementById('alignment-card');
+  if (card) card.style.display = 'none';
+}
+
+/**
+ * A calendar date as the location's clock names it, e.g. 'Mon' or 'Jun 28'.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {object} options - Intl date fields to show
+ */
+function formatDay(dateStr, options) {
+  return zonedTime(dateStr, 12, state.timeZone)
+    .toLocaleDateString('en-US', { ...options, timeZone: state.timeZone || undefined });
+}
+
+/**
+ * Label a mode, e.g. 'Evening blue hour'.
+ */
+export function modeLabel(mode) {
+  return (MODES.find(m => m.id === mode) || MODES[0]).label;
+}
+
+/**
+ * Show the current mode on the mode picker.
+ */
+function syncModeSelect() {
+  const modeSelect = document.getElementById('mode-select');
+  if (!modeSelect) return;
+  modeSelect.value = state.mode;
+  modeSelect.classList.toggle('sunrise-mode', state.mode === 'sunrise');
+  modeSelect.classList.toggle('twilight-mode', isTwilightMode(state.mode));
+  modeSelect.classList.toggle('moon-mode', isMoonMode(state.mode));
+}
+
+/**
+ * Show the current weights on the preset picker and sliders.
+ */
+function syncWeightControls() {
+  const presetSelect = document.getElementById('weights-preset');
+  if (presetSelect) presetSelect.value = findWeightPreset(state.weights);
+  for (const key of WEIGHT_KEYS) {
+    const slider = document.getElementById(`weight-${key}`);
+    const value = document.getElementById(`weight-${key}-value`);
+    if (slider) slider.value = state.weights[key];
+    if (value) value.textContent = state.weights[key];
+  }
+}
+
 /**
  * Show location disambiguation results.
  */
@@ -107,39 +430,81 @@ export function hideLocationPicker() {
   document.getElementById('location-results').style.display = 'none';
 }
 
+/**
+ * Switch times and dates to a location's zone, keeping the picked calendar date.
+ */
+export function setTimeZone(timeZone) {
+  const dateStr = formatDateInput(state.date);
+  state.timeZone = timeZone;
+  setDisplayTimeZone(timeZone);
+  state.date = zonedTime(dateStr, 12, timeZone);
+}
+
 /**
  * Update the sunset info card.
  */
 export function updateSunCard(sunData) {
   state.sunData = sunData;
   const card = document.getElementById('sun-card');
+  if (isMoonMode(sunData.mode)) {
+    updateMoonCard(card, sunData);
+    return;
+  }
 
-  const timeStr = formatTime(sunData.targetTime);
-  const azStr = `${Math.round(sunData.azimuth)}°`;
-  const compass = azimuthToCompass(sunData.azimuth);
   const goldenStart = formatTime(sunData.goldenHourStart);
   const goldenEnd = formatTime(sunData.goldenHourEnd);
-  const label = sunData.mode === 'sunset' ? 'Sunset' : 'Sunrise';
+  const label = modeLabel(sunData.mode);
+  const twilight = isTwilightMode(sunData.mode);
 
   card.innerHTML = `
     <h3>${label} Info</h3>
     <div class="sun-info-grid">
       <div class="sun-info-item">
-        <span class="sun-label">${label}</span>
-        <span class="sun-value">${timeStr}</span>
+        <span class="sun-label">${twilight ? 'Middle' : label}</span>
+        <span class="sun-value">${sunData.targetTime ? formatTime(sunData.targetTime) : '—'}</span>
       </div>
       <div class="sun-info-item">
-        <span class="sun-label">Bearing</span>
-        <span class="sun-value">${azStr} ${compass}</span>
+        <span class="sun-label">${twilight ? 'Glow bearing' : 'Bearing'}</span>
+        <span class="sun-value">${sunData.azimuth != null ? `${Math.round(sunData.azimuth)}° ${azimuthToCompass(sunData.azimuth)}` : '—'}</span>
       </div>
       <div class="sun-info-item">
         <span class="sun-label">Golden Hour</span>
         <span class="sun-value">${goldenStart} – ${goldenEnd}</span>
       </div>
     </div>
+    ${twilight ? twilightWindowsHtml(sunData) : ''}
+    ${twilight && !sunData.targetTime ? `<p class="sun-warning">The sun doesn't sink far enough for this twilight here on this date.</p>` : ''}
+    <p class="sun-timezone">Times in ${state.timeZone || 'your local time'}</p>
+    ${sunData.azimuth != null ? compassHtml(sunData.azimuth) : ''}
+  `;
+  card.style.display = 'block';
+}
+
+/**
+ * The evening's (or morning's) twilight windows, the one the mode aims at highlighted.
+ */
+function twilightWindowsHtml(sunData) {
+  const current = sunData.twilightWindow;
+  return `
+    <ul class="twilight-windows">
+      ${sunData.twilightWindows.map(w => `
+        <li class="${current && w.start.getTime() === current.start.getTime() ? 'current' : ''}">
+          <span>${w.label}</span>
+          <span>${formatTime(w.start)} – ${formatTime(w.end)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Compass rose with the needle on a bearing.
+ */
+function compassHtml(azimuth) {
+  return `
     <div class="compass-graphic">
       <div class="compass-ring">
-        <div class="compass-needle" style="transform: rotate(${sunData.azimuth}deg)">
+        <div class="compass-needle" style="transform: rotate(${azimuth}deg)">
           <div class="needle-tip"></div>
         </div>
         <span class="compass-n">N</span>
@@ -149,6 +514,39 @@ export function updateSunCard(sunData) {
       </div>
     </div>
   `;
+}
+
+/**
+ * Fill the sun card for the moon modes: event time, bearing and phase,
+ * with a warning when the moon is too thin to show up.
+ */
+function updateMoonCard(card, moonData) {
+  const label = modeLabel(moonData.mode);
+  const lit = Math.round(moonData.illumination * 100);
+  const warning = !moonData.targetTime
+    ? `The moon doesn't ${moonData.mode === 'moonrise' ? 'rise' : 'set'} here on this date.`
+    : (moonData.isThin ? `Only ${lit}% lit — a thin crescent this close to the sun is faint and easy to miss.` : '');
+
+  card.innerHTML = `
+    <h3>${label} Info</h3>
+    <div class="sun-info-grid">
+      <div class="sun-info-item">
+        <span class="sun-label">${label}</span>
+        <span class="sun-value">${moonData.targetTime ? formatTime(moonData.targetTime) : '—'}</span>
+      </div>
+      <div class="sun-info-item">
+        <span class="sun-label">Bearing</span>
+        <span class="sun-value">${moonData.targetTime ? `${Math.round(moonData.azimuth)}° ${azimuthToCompass(moonData.azimuth)}` : '—'}</span>
+      </div>
+      <div class="sun-info-item">
+        <span class="sun-label">Phase</span>
+        <span class="sun-value">${moonData.phaseName} · ${lit}%</span>
+      </div>
+    </div>
+    ${warning ? `<p class="sun-warning">${warning}</p>` : ''}
+    <p class="sun-timezone">Times in ${state.timeZone || 'your local time'}</p>
+    ${moonData.targetTime ? compassHtml(moonData.azimuth) : ''}
+  `;
   card.style.display = 'block';
 }
 
@@ -173,7 +571,9 @@ export function updateWeatherCard(weatherData, targetDate) {
   }
 
   const q = dayData.quality;
-  const timeLabel = dayData.isHourly ? 'At sunset' : 'Daily avg';
+  const timeLabel = dayData.isHourly ? `At ${modeLabel(state.mode).toLowerCase()}` : 'Daily avg';
+  // The colour model is for the sun; by moonlight only the clouds matter
+  const moon = isMoonMode(state.mode);
   const visStr = dayData.visibility != null
     ? `${(dayData.visibility / 1000).toFixed(0)} km`
     : '—';
@@ -183,11 +583,21 @@ export function updateWeatherCard(weatherData, targetDate) {
 
   card.innerHTML = `
     <h3>Weather <span class="weather-time-label">${timeLabel}</span></h3>
-    <div class="weather-badge ${q.class}">
-      <span class="weather-icon">${q.icon}</span>
-      <span class="weather-label">${q.label}</span>
-    </div>
-    <p class="weather-desc">${q.description}</p>
+    ${moon ? '' : `
+      <div class="weather-badge ${q.class}">
+        <span class="weather-icon">${q.icon}</span>
+        <span class="weather-label">${q.label}</span>
+        <span class="weather-probability">${q.probability}% colour chance</span>
+      </div>
+      <p class="weather-desc">${q.description}</p>
+      <ul class="weather-factors">
+        ${q.factors.map(f => `
+          <li class="${f.points > 0 ? 'boost' : 'drag'}">
+            <span>${f.points > 0 ? '+' : ''}${f.points}</span> ${f.label}
+          </li>
+        `).join('')}
+      </ul>
+    `}
     <div class="weather-details">
       <div class="weather-stat">
         <span>Cloud Cover</span>
@@ -206,6 +616,12 @@ export function updateWeatherCard(weatherData, targetDate) {
         <span>${windStr}</span>
       </div>
     </div>
+    ${dayData.cloudPath.length > 1 ? `
+      <div class="cloud-section-wrap">
+        <h4>Clouds toward the ${moon ? 'moon' : 'sun'}</h4>
+        ${renderCloudSection(dayData.cloudPath)}
+      </div>
+    ` : ''}
   `;
   card.style.display = 'block';
 }
@@ -219,16 +635,22 @@ export function updateResultsList(candidates, onItemClick) {
   const top10 = candidates.slice(0, 10);
 
   if (top10.length === 0) {
-    list.innerHTML = '<p class="no-results">No viewpoints analyzed yet.</p>';
+    list.innerHTML = state.waterOnly && state.location
+      ? '<p class="no-results">No spots here look out over open water. Turn off "Water horizons only" to see them all.</p>'
+      : '<p class="no-results">No viewpoints analyzed yet.</p>';
     return;
   }
 
   list.innerHTML = `<h3>Top Spots</h3>` + top10.map((c, i) => {
     const color = getScoreColor(c.score);
     const verdict = getVerdict(c);
+    const sweep = getSweepSummary(c);
+    const localTime = getLocalTimeSummary(c);
+    const horizon = getHorizonSummary(c);
     const distance = state.location
       ? formatDistance(haversine(state.location.lat, state.location.lng, c.lat, c.lng))
       : '';
+    const neighbours = c.neighbours || [];
 
     return `
       <div class="result-item" data-index="${i}">
@@ -236,7 +658,20 @@ export function updateResultsList(candidates, onItemClick) {
         <div class="result-info">
           <div class="result-elev">${Math.round(c.elevation)}m · ${distance}</div>
           <div class="result-verdict">${verdict}</div>
+          ${horizon ? `<div class="result-verdict">${horizon}</div>` : ''}
+          ${localTime ? `<div class="result-verdict">${localTime}</div>` : ''}
+          ${sweep ? `<div class="result-verdict">${sweep}</div>` : ''}
           <div class="result-score">Score: ${c.score}</div>
+          ${neighbours.length > 0 ? `
+            <details class="result-neighbours">
+              <summary>+${neighbours.length} nearby</summary>
+              ${neighbours.slice(0, MAX_LISTED_NEIGHBOURS).map((n, j) => `
+                <div class="result-neighbour" data-neighbour="${j}">
+                  ${Math.round(n.elevation)}m · ${formatDistance(haversine(c.lat, c.lng, n.lat, n.lng))} away · score ${n.score}
+                </div>
+              `).join('')}
+            </details>
+          ` : ''}
         </div>
       </div>
     `;
@@ -244,13 +679,58 @@ export function updateResultsList(candidates, onItemClick) {
 
   // Click handlers
   list.querySelectorAll('.result-item').forEach(item => {
+    const spot = top10[parseInt(item.dataset.index)];
     item.addEventListener('click', () => {
-      const idx = parseInt(item.dataset.index);
-      if (onItemClick) onItemClick(top10[idx]);
+      if (onItemClick) onItemClick(spot);
+    });
+
+    // Expanding a group or picking a neighbour should not also pick the winner
+    const group = item.querySelector('.result-neighbours summary');
+    if (group) group.addEventListener('click', (e) => e.stopPropagation());
+    item.querySelectorAll('.result-neighbour').forEach(row => {
+      row.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (onItemClick) onItemClick(spot.neighbours[parseInt(row.dataset.neighbour)]);
+      });
     });
   });
 }
 
+/**
+ * Show the horizon profile panel with a chart (SVG markup) or a status message.
+ */
+export function showHorizonPanel(title, content) {
+  document.getElementById('horizon-title').textContent = title;
+  document.getElementById('horizon-chart').innerHTML = content;
+  document.getElementById('horizon-panel').style.display = 'block';
+}
+
+/**
+ * Hide the horizon profile panel.
+ */
+export function hideHorizonPanel() {
+  document.getElementById('horizon-panel').style.display = 'none';
+}
+
+/**
+ * Describe the active terrain source under the provider controls.
+ */
+export function setProviderStatus(text) {
+  const el = document.getElementById('provider-status');
+  if (el) el.textContent = text;
+}
+
+/**
+ * Show how much terrain is cached for offline and repeat use.
+ */
+export function updateCacheStats({ count, bytes }) {
+  const el = document.getElementById('cache-stats');
+  if (!el) return;
+  el.textContent = count === 0
+    ? 'No cached terrain'
+    : `Cached terrain: ${count} tiles · ${(bytes / 1048576).toFixed(1)} MB`;
+}
+
 /**
  * Show/hide loading state.
  */
@@ -297,11 +777,28 @@ export function updateHash() {
     lng: state.location.lng.toFixed(5),
     r: (state.radius / 1000).toString(),
     d: formatDateInput(state.date),
-    m: state.mode
+    m: state.mode,
+    h: state.observerHeight.toString()
   });
+  if (state.refraction !== DEFAULT_REFRACTION) params.set('k', state.refraction.toString());
+  if (state.goldenHourSweep) params.set('gh', '1');
+  if (findWeightPreset(state.weights) !== 'balanced') {
+    params.set('w', WEIGHT_KEYS.map(k => state.weights[k]).join(','));
+  }
   window.location.hash = params.toString();
 }
 
+/**
+ * Parse the share URL's comma-separated weights, or the defaults if missing or malformed.
+ */
+function parseWeights(value) {
+  const parts = (value || '').split(',').map(v => parseInt(v));
+  if (parts.length !== WEIGHT_KEYS.length || parts.some(v => isNaN(v) || v < 0)) {
+    return { ...DEFAULT_WEIGHTS };
+  }
+  return Object.fromEntries(WEIGHT_KEYS.map((k, i) => [k, Math.min(100, parts[i])]));
+}
+
 /**
  * Load state from URL hash.
  */
@@ -315,10 +812,26 @@ function loadFromHash(callbacks) {
 
     const radius = parseInt(params.get('r')) || 10;
     const dateStr = params.get('d');
-    const mode = params.get('m') || 'sunset';
+    const mode = MODES.some(m => m.id === params.get('m')) ? params.get('m') : 'sunset';
 
     state.radius = radius * 1000;
     state.mode = mode;
+    state.goldenHourSweep = params.get('gh') === '1';
+    const h = parseFloat(params.get('h'));
+    state.observerHeight = isNaN(h) ? DEFAULT_OBSERVER_HEIGHT : Math.max(0, h);
+    const k = parseFloat(params.get('k'));
+    state.refraction = isNaN(k) ? DEFAULT_REFRACTION : Math.max(0, Math.min(1, k));
+    state.weights = parseWeights(params.get('w'));
+    syncWeightControls();
+    syncModeSelect();
+
+    const refractionInput = document.getElementById('refraction-input');
+    if (refractionInput) refractionInput.value = state.refraction;
+    const heightInput = document.getElementById('height-input');
+    if (heightInput) heightInput.value = state.observerHeight;
+
+    const sweepToggle = document.getElementById('sweep-toggle');
+    if (sweepToggle) sweepToggle.checked = state.goldenHourSweep;
 
     const slider = document.getElementById('radius-slider');
     if (slider) slider.value = radius;
@@ -328,8 +841,7 @@ function loadFromHash(callbacks) {
     if (dateStr) {
       const dateInput = document.getElementById('date-input');
       if (dateInput) dateInput.value = dateStr;
-      const parts = dateStr.split('-');
-      state.date = new Date(parts[0], parts[1] - 1, parts[2], 12, 0, 0);
+      state.date = zonedTime(dateStr, 12, state.timeZone);
     }
 
     if (callbacks.onSearch) {
@@ -340,9 +852,9 @@ function loadFromHash(callbacks) {
   }
 }
 
+/**
+ * Calendar date of an instant on the location's clock, as the date input shows it.
+ */
 function formatDateInput(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+  return formatDateInZone(date, state.timeZone);
 }
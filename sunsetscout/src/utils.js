@@ -5,6 +5,10 @@
 const R_EARTH = 6371000; // Earth radius in meters
 const DEG2RAD = Math.PI / 180;
 const RAD2DEG = 180 / Math.PI;
+// Standard terrestrial refraction coefficient (light bends with ~1/7.7 of Earth's curvature)
+const DEFAULT_REFRACTION = 0.13;
+// Sun's altitude at the astronomical horizon event is -0.833°: refraction plus its semi-diameter
+const SUN_HORIZON_OFFSET = 0.833;
 
 /**
  * Haversine distance between two lat/lng points in meters.
@@ -56,10 +60,22 @@ export function destinationPoint(lat, lng, bearingDeg, distanceM) {
 }
 
 /**
- * Earth curvature drop at a given distance (meters).
+ * Apparent drop of distant terrain due to Earth curvature (meters).
+ * Refraction bends sight lines along with the surface, modelled as an effective
+ * earth radius of R / (1 - k); k = 0 is pure geometry, higher k for cold-air/inversion evenings.
  */
-export function curvatureDrop(distanceM) {
-  return (distanceM * distanceM) / (2 * R_EARTH);
+export function curvatureDrop(distanceM, refraction = 0) {
+  return (distanceM * distanceM) * (1 - refraction) / (2 * R_EARTH);
+}
+
+/**
+ * Dip of the sea-level-style horizon below horizontal for an eye height (degrees).
+ * Uses the same refraction-adjusted effective earth radius as curvatureDrop().
+ */
+export function horizonDip(heightM, refraction = 0) {
+  if (heightM <= 0 || refraction >= 1) return 0;
+  const effectiveRadius = R_EARTH / (1 - refraction);
+  return Math.acos(effectiveRadius / (effectiveRadius + heightM)) * RAD2DEG;
 }
 
 /**
@@ -114,11 +130,21 @@ export function azimuthToCompass(deg) {
   return dirs[idx];
 }
 
+// IANA zone times are shown in; null for the browser's own
+let displayTimeZone = null;
+
+/**
+ * Show times in a location's zone from now on, or the browser's with null.
+ */
+export function setDisplayTimeZone(timeZone) {
+  displayTimeZone = timeZone;
+}
+
 /**
- * Format a Date to local time string (HH:MM AM/PM).
+ * Format a Date to a time string (HH:MM AM/PM) in the display time zone.
  */
-export function formatTime(date) {
-  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+export function formatTime(date, timeZone = displayTimeZone) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timeZone || undefined });
 }
 
 /**
@@ -152,8 +178,33 @@ export async function asyncPool(limit, items, fn) {
   return Promise.all(results);
 }
 
+/**
+ * Whether an error comes from an aborted operation.
+ */
+export function isAbortError(err) {
+  return err != null && err.name === 'AbortError';
+}
+
+/**
+ * Settle like a promise, or reject with the signal's reason as soon as it aborts.
+ * The underlying work is not stopped; use this where it is shared or can't be.
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 /**
  * Fetch with retry and exponential backoff.
+ * An abort via options.signal is never retried.
  */
 export async function fetchWithRetry(url, options = {}, maxRetries = 3) {
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -162,10 +213,10 @@ export async function fetchWithRetry(url, options = {}, maxRetries = 3) {
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
       return response;
     } catch (err) {
-      if (attempt === maxRetries) throw err;
-      await new Promise(r => setTimeout(r, 1000 * Math.pow(2, attempt)));
+      if (attempt === maxRetries || isAbortError(err)) throw err;
+      await abortable(new Promise(r => setTimeout(r, 1000 * Math.pow(2, attempt))), options.signal);
     }
   }
 }
 
-export { R_EARTH, DEG2RAD, RAD2DEG };
+export { R_EARTH, DEG2RAD, RAD2DEG, DEFAULT_REFRACTION, SUN_HORIZON_OFFSET };
@@ -0,0 +1,391 @@
+/**
+ * Viewshed math shared by the main thread and the viewshed worker:
+ * multi-resolution rays, tile planning, sampling rays from an elevation grid,
+ * and the obstruction model.
+ */
+import { destinationPoint, curvatureDrop, horizonDip, R_EARTH, DEG2RAD, RAD2DEG, DEFAULT_REFRACTION, SUN_HORIZON_OFFSET } from './utils.js';
+import { globalPixel, fetchElevationGrid, sampleElevationGrid } from './elevation.js';
+
+const RAY_MAX_DISTANCE = 120000; // meters max ray distance
+
+// Multi-resolution ray: each band samples out to `until` meters at its spacing and tile zoom.
+// Near-field angles are the most sensitive to DEM error, so the first band uses z14.
+const RAY_BANDS = [
+  { until: 2000, spacing: 100, zoom: 14 },
+  { until: 5000, spacing: 250, zoom: 12 },
+  { until: 20000, spacing: 500, zoom: 11 },
+  { until: 50000, spacing: 1000, zoom: 10 },
+  { until: 120000, spacing: 2500, zoom: 9 }
+];
+
+const MAX_RAY_TILES = 128; // tile budget for one analysis' ray samples
+const MIN_RAY_ZOOM = 7;
+const TILE_WALK_STEP = 32; // pixels between points when walking a ray band for its tiles
+// Horizon classification
+const HORIZON_WINDOW = 5000;   // meters of surface before the horizon that decide its type
+const SEA_LEVEL = 0.5;         // meters; Terrarium oceans read 0 or bathymetry below it
+const WATER_FLATNESS = 1;      // meters of relief allowed across a lake surface
+const PLAIN_RELIEF = 30;       // meters of relief allowed across an open plain
+const SLOPE_SPACING = 30;      // meters between the DEM samples a candidate's ground slope is taken from
+const GLOW_CLEARANCE = 1;      // degrees; terrain below this leaves the afterglow's bright low band in view
+
+/**
+ * Generate sample points along a ray from an origin in a given bearing.
+ * @param {number} maxDist - meters
+ * @param {number|Array} spacing - uniform spacing in meters, or bands [{until, spacing, zoom}]
+ *   whose samples carry their tile zoom
+ */
+export function generateRayPoints(originLat, originLng, bearingDeg, maxDist = RAY_MAX_DISTANCE, spacing = RAY_BANDS) {
+  const bands = typeof spacing === 'number' ? [{ until: maxDist, spacing }] : spacing;
+  const points = [];
+  let d = 0;
+
+  for (const band of bands) {
+    const until = Math.min(band.until, maxDist);
+    for (d += band.spacing; d <= until; d += band.spacing) {
+      const pt = destinationPoint(originLat, originLng, bearingDeg, d);
+      points.push(band.zoom != null ? { ...pt, distance: d, zoom: band.zoom } : { ...pt, distance: d });
+    }
+    d -= band.spacing;
+  }
+  return points;
+}
+
+/**
+ * Tiles at one zoom that a band of every ray reads, as y * 2^zoom + x.
+ * Each band segment is walked in pixel space in short steps, adding every tile
+ * within half a step (plus the pixel bilinear sampling reaches) of the line.
+ * Far cheaper than visiting every sample, and never misses a tile a sample needs.
+ */
+function bandTiles(origins, bearings, from, until, zoom) {
+  const n = 1 << zoom;
+  const size = n * 256;
+  const margin = TILE_WALK_STEP / 2 + 1;
+  const tiles = new Set();
+
+  for (const o of origins) {
+    for (const bearing of bearings) {
+      const start = from > 0 ? destinationPoint(o.lat, o.lng, bearing, from) : o;
+      const end = destinationPoint(o.lat, o.lng, bearing, until);
+      const p0 = globalPixel(start.lat, start.lng, zoom);
+      const p1 = globalPixel(end.lat, end.lng, zoom);
+      let dx = p1.x - p0.x;
+      if (Math.abs(dx) > size / 2) dx -= Math.sign(dx) * size; // crosses the antimeridian
+      const dy = p1.y - p0.y;
+      const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / TILE_WALK_STEP));
+
+      for (let i = 0; i <= steps; i++) {
+        const x = p0.x + dx * i / steps;
+        const y = p0.y + dy * i / steps;
+        const yMin = Math.max(0, Math.floor((y - margin) / 256));
+        const yMax = Math.min(n - 1, Math.floor((y + margin) / 256));
+        for (let tx = Math.floor((x - margin) / 256); tx <= Math.floor((x + margin) / 256); tx++) {
+          for (let ty = yMin; ty <= yMax; ty++) tiles.add(ty * n + ((tx % n) + n) % n);
+        }
+      }
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Choose band zooms so the tiles a set of rays reads fit a budget, moving the
+ * zoom level that needs the most tiles one step coarser until the total fits.
+ * @param {Array<{lat, lng}>} origins - origins are read at the first band's zoom
+ * @param {Array<number>} bearings - degrees, cast from every origin
+ * @returns {{bands: Array, tiles: Array<string>}} bands with their final zooms, and the 'z/x/y' tiles to load
+ */
+export function planRayTiles(origins, bearings, maxTiles = MAX_RAY_TILES, bands = RAY_BANDS) {
+  // Band tiles only depend on the band's zoom, so coarsening reuses the others
+  const walked = new Map();
+  const tilesFor = (i, zoom) => {
+    const key = `${i}/${zoom}`;
+    if (!walked.has(key)) {
+      const from = i > 0 ? bands[i - 1].until : 0;
+      walked.set(key, bandTiles(origins, bearings, from, Math.min(bands[i].until, RAY_MAX_DISTANCE), zoom));
+    }
+    return walked.get(key);
+  };
+
+  let zooms = bands.map(band => band.zoom);
+  for (;;) {
+    const tilesByZoom = new Map();
+    zooms.forEach((zoom, i) => {
+      if (!tilesByZoom.has(zoom)) tilesByZoom.set(zoom, new Set());
+      for (const tile of tilesFor(i, zoom)) tilesByZoom.get(zoom).add(tile);
+    });
+
+    let total = 0;
+    let busiest = null;
+    for (const [zoom, tiles] of tilesByZoom) {
+      total += tiles.size;
+      if (zoom > MIN_RAY_ZOOM && (busiest == null || tiles.size > tilesByZoom.get(busiest).size)) busiest = zoom;
+    }
+
+    if (total <= maxTiles || busiest == null) {
+      const tiles = [];
+      for (const [zoom, set] of tilesByZoom) {
+        const n = 1 << zoom;
+        for (const tile of set) tiles.push(`${zoom}/${tile % n}/${Math.floor(tile / n)}`);
+      }
+      return { bands: bands.map((band, i) => ({ ...band, zoom: zooms[i] })), tiles };
+    }
+
+    zooms = zooms.map(zoom => (zoom === busiest ? zoom - 1 : zoom));
+  }
+}
+
+/**
+ * Load the elevation grid a set of rays needs, with the band zooms it was planned at.
+ * @param {function} onProgress - optional callback(completed, total) in tiles
+ * @param {object} options - {maxTiles} tile budget, {signal} to cancel loading
+ * @returns {Promise<{grid, bands}>}
+ */
+export async function fetchRayGrid(origins, bearings, onProgress, options = {}) {
+  const { maxTiles = MAX_RAY_TILES, signal } = options;
+  const { bands, tiles } = planRayTiles(origins, bearings, maxTiles);
+  const grid = await fetchElevationGrid(tiles, onProgress, { signal });
+  return { grid, bands };
+}
+
+/**
+ * Cast one ray over an elevation grid.
+ * @returns {Array<{distance, elevation}>} samples with elevation data
+ */
+export function castRay(grid, lat, lng, bearing, bands = RAY_BANDS) {
+  const samples = [];
+  for (const pt of generateRayPoints(lat, lng, bearing, RAY_MAX_DISTANCE, bands)) {
+    const elevation = sampleElevationGrid(grid, pt.lat, pt.lng, pt.zoom);
+    if (elevation != null) samples.push({ distance: pt.distance, elevation });
+  }
+  return samples;
+}
+
+/**
+ * Whether the sun's upper limb is above a terrain horizon angle.
+ * Altitudes are geometric (as from suncalc), so refraction and semi-diameter are added back.
+ */
+export function isSunVisible(sunAltitude, horizonAngle) {
+  return sunAltitude + SUN_HORIZON_OFFSET > horizonAngle;
+}
+
+/**
+ * Compute the obstruction angle for a candidate viewpoint along a bearing.
+ * The eye sits observerHeight above the ground (candidate.observerHeight wins over the option).
+ * Beyond the sampled terrain the horizon cannot rise above the dip for the eye's height
+ * over the lowest surface seen, so an elevated eye also lowers the apparent horizon.
+ * @param {object} candidate - {lat, lng, elevation, observerHeight?}
+ * @param {Array} raySamples - [{lat, lng, elevation, distance}]
+ * @param {object} options - {sunAltitude, refraction, observerHeight}; sunAltitude defaults to
+ *   the sun at the astronomical horizon event, refraction to the standard coefficient
+ * @returns {object} {obstructionAngle, maxBlockerDistance, maxBlockerElevation, observerHeight, horizonDip, isClear}
+ *   isClear when the sun's upper limb is above the terrain, as for the local event time
+ */
+export function computeObstruction(candidate, raySamples, options = {}) {
+  const { sunAltitude = -SUN_HORIZON_OFFSET, refraction = DEFAULT_REFRACTION } = options;
+  const observerHeight = candidate.observerHeight ?? options.observerHeight ?? 0;
+  const eyeElevation = candidate.elevation + observerHeight;
+  let maxAngle = -90;
+  let maxBlockerDistance = 0;
+  let maxBlockerElevation = 0;
+  let lowestSurface = candidate.elevation;
+
+  for (const sample of raySamples) {
+    const dist = sample.distance;
+    // Earth curvature, lessened by refraction, lowers terrain continuously along the ray
+    const terrainElev = sample.elevation - curvatureDrop(dist, refraction);
+
+    const elevDiff = terrainElev - eyeElevation;
+    const angle = Math.atan2(elevDiff, dist) * (180 / Math.PI);
+
+    if (angle > maxAngle) {
+      maxAngle = angle;
+      maxBlockerDistance = dist;
+      maxBlockerElevation = sample.elevation;
+    }
+    lowestSurface = Math.min(lowestSurface, sample.elevation);
+  }
+
+  const dip = horizonDip(eyeElevation - lowestSurface, refraction);
+  if (dip > 0 && -dip > maxAngle) {
+    maxAngle = -dip;
+    maxBlockerDistance = Math.sqrt(2 * (eyeElevation - lowestSurface) * R_EARTH / (1 - refraction));
+    maxBlockerElevation = lowestSurface;
+  }
+
+  return {
+    obstructionAngle: maxAngle,
+    maxBlockerDistance,
+    maxBlockerElevation,
+    observerHeight,
+    horizonDip: dip,
+    isClear: isSunVisible(sunAltitude, maxAngle)
+  };
+}
+
+/**
+ * Evaluate a golden-hour sweep for one candidate.
+ * Rays and sun path are ordered toward the horizon event, so the last ray
+ * is the one along the event bearing.
+ * @param {object} candidate - {lat, lng, elevation}
+ * @param {Array<Array>} rays - one ray of samples per sun path step
+ * @param {Array} sunPath - [{time, azimuth, altitude}]
+ * @param {object} options - {refraction, observerHeight}
+ * @returns {object} event-time obstruction plus {visibleMinutes, sweepMinutes, sunHiddenAt,
+ *   sunClearsAt, horizonTrack}: when a setting sun first drops behind terrain, or when a
+ *   rising one (path running backward in time) last comes out from it; horizonTrack is
+ *   the sun path with the terrain angle under each step
+ */
+export function computeSweep(candidate, rays, sunPath, options = {}) {
+  const first = sunPath[0].time.getTime();
+  const last = sunPath[sunPath.length - 1].time.getTime();
+  const sweepMinutes = Math.abs(last - first) / 60000;
+  const rising = last < first;
+
+  let visibleSteps = 0;
+  let firstHidden = -1;
+  const horizonTrack = [];
+
+  for (let i = 0; i < sunPath.length; i++) {
+    const { isClear, obstructionAngle } = computeObstruction(candidate, rays[i], { ...options, sunAltitude: sunPath[i].altitude });
+    horizonTrack.push({ ...sunPath[i], angle: obstructionAngle });
+    if (isClear) {
+      visibleSteps++;
+    } else if (firstHidden < 0) {
+      firstHidden = i;
+    }
+  }
+
+  // Rising, the step before the first hidden one is the sun's first clear moment after it
+  const sunHiddenAt = !rising && firstHidden >= 0 ? sunPath[firstHidden].time : null;
+  const sunClearsAt = rising && firstHidden > 0 ? sunPath[firstHidden - 1].time : null;
+
+  return {
+    ...computeObstruction(candidate, rays[rays.length - 1], { ...options, sunAltitude: sunPath[sunPath.length - 1].altitude }),
+    visibleMinutes: Math.round(sweepMinutes * visibleSteps / sunPath.length),
+    sweepMinutes: Math.round(sweepMinutes),
+    sunHiddenAt,
+    sunClearsAt,
+    horizonTrack
+  };
+}
+
+/**
+ * Evaluate the view across the afterglow for the twilight modes.
+ * The glow spreads wide over the sun below the horizon, so every ray across its arc
+ * counts rather than the one bearing; the last ray is the one over the sun.
+ * @param {object} candidate - {lat, lng, elevation}
+ * @param {Array<Array>} rays - one ray of samples per bearing of the glow arc
+ * @param {object} options - {refraction, observerHeight}
+ * @returns {object} obstruction over the sun plus {glowOpen, glowObstruction}: the share of
+ *   the arc whose terrain stays under GLOW_CLEARANCE, and its mean obstruction angle
+ */
+export function computeGlow(candidate, rays, options = {}) {
+  // On the sun's convention, a 'sun' at this altitude is visible exactly over terrain below the clearance
+  const glowOptions = { ...options, sunAltitude: GLOW_CLEARANCE - SUN_HORIZON_OFFSET };
+  const arc = rays.map(ray => computeObstruction(candidate, ray, glowOptions));
+
+  return {
+    ...arc[arc.length - 1],
+    glowOpen: arc.filter(o => o.isClear).length / arc.length,
+    glowObstruction: arc.reduce((sum, o) => sum + o.obstructionAngle, 0) / arc.length
+  };
+}
+
+/**
+ * Classify what forms the horizon along a ray: open sea, a lake, an open plain
+ * or terrain, from the surface in the last few km before the line of sight meets it.
+ * @param {Array} raySamples - [{distance, elevation}]
+ * @param {object} obstruction - from computeObstruction() on the same ray
+ * @returns {{horizonType: 'sea'|'lake'|'plain'|'terrain', horizonDistance: number}}
+ */
+export function classifyHorizon(raySamples, obstruction) {
+  const horizonDistance = obstruction.maxBlockerDistance;
+  const reach = Math.min(horizonDistance, raySamples.length ? raySamples[raySamples.length - 1].distance : 0);
+
+  // The stretch leading up to the horizon, at least a few samples long
+  const upToHorizon = raySamples.filter(s => s.distance <= reach);
+  let window = upToHorizon.filter(s => s.distance >= reach - HORIZON_WINDOW);
+  if (window.length < 3) window = upToHorizon.slice(-3);
+  if (window.length < 2) return { horizonType: 'terrain', horizonDistance };
+
+  const elevations = window.map(s => s.elevation);
+  const highest = Math.max(...elevations);
+  const relief = highest - Math.min(...elevations);
+
+  let horizonType = 'terrain';
+  if (highest <= SEA_LEVEL) horizonType = 'sea';
+  else if (relief <= WATER_FLATNESS) horizonType = 'lake';
+  else if (relief <= PLAIN_RELIEF && obstruction.obstructionAngle <= 0) horizonType = 'plain';
+
+  return { horizonType, horizonDistance };
+}
+
+/**
+ * Slope, aspect and roughness of the ground at a point, from a 3x3 window of DEM
+ * samples SLOPE_SPACING apart (Horn's method).
+ * @param {Array<number>} zooms - tile zooms to try in order, finest first
+ * @returns {{slope, aspect, roughness}|null} slope in degrees, aspect as the compass
+ *   bearing the ground faces (downhill), roughness as the mean height difference in
+ *   meters between the point and its neighbours; null where the grid has no data
+ */
+export function computeGroundSlope(grid, lat, lng, zooms) {
+  const dLat = (SLOPE_SPACING / R_EARTH) * RAD2DEG;
+  const dLng = dLat / Math.cos(lat * DEG2RAD);
+
+  for (const zoom of zooms) {
+    // Rows north to south, columns west to east
+    const z = [];
+    for (let row = -1; row <= 1; row++) {
+      for (let col = -1; col <= 1; col++) {
+        z.push(sampleElevationGrid(grid, lat - row * dLat, lng + col * dLng, zoom));
+      }
+    }
+    if (z.some(v => v == null)) continue;
+
+    const [a, b, c, d, e, f, g, h, i] = z;
+    const eastward = ((c + 2 * f + i) - (a + 2 * d + g)) / (8 * SLOPE_SPACING);
+    const southward = ((g + 2 * h + i) - (a + 2 * b + c)) / (8 * SLOPE_SPACING);
+    const slope = Math.atan(Math.hypot(eastward, southward)) * RAD2DEG;
+    const aspect = (Math.atan2(-eastward, southward) * RAD2DEG + 360) % 360;
+    const roughness = z.reduce((sum, v) => sum + Math.abs(v - e), 0) / 8;
+
+    return { slope, aspect, roughness };
+  }
+  return null;
+}
+
+/**
+ * Run the full viewshed for one candidate over an elevation grid.
+ * The origin is re-sampled at the near-field zoom so the eye and the nearest
+ * ray samples come from the same resolution (a smoothed peak would otherwise
+ * look blocked by its own sharper shoulders).
+ * @param {object} candidate - {lat, lng, elevation, observerHeight?}
+ * @param {object} grid - from fetchElevationGrid()
+ * @param {Array} bands - ray bands with their planned zooms
+ * @param {Array<number>} bearings - one per sun path step when sweeping, the glow arc's
+ *   when glow is set, else just the event bearing
+ * @param {object} options - {sunBearing, sunAltitude, sunPath, glow, refraction, observerHeight}
+ */
+export function evaluateCandidate(candidate, grid, bands, bearings, options = {}) {
+  const { sunBearing, sunAltitude, sunPath = null, glow = false, refraction, observerHeight } = options;
+  const eye = sampleElevationGrid(grid, candidate.lat, candidate.lng, bands[0].zoom);
+  const origin = eye != null ? { ...candidate, elevation: eye } : candidate;
+
+  const rays = bearings.map(b => castRay(grid, origin.lat, origin.lng, b, bands));
+  let obstruction;
+  if (glow) obstruction = computeGlow(origin, rays, { refraction, observerHeight });
+  else if (sunPath) obstruction = computeSweep(origin, rays, sunPath, { refraction, observerHeight });
+  else obstruction = computeObstruction(origin, rays[0], { sunAltitude, refraction, observerHeight });
+
+  return {
+    ...origin,
+    ...obstruction,
+    // The event-bearing ray is the last one in a sweep or glow arc
+    ...classifyHorizon(rays[rays.length - 1], obstruction),
+    ...computeGroundSlope(grid, origin.lat, origin.lng, bands.map(b => b.zoom)),
+    sunAltitude,
+    sunBearing,
+    viewQuality: obstruction.isClear ? 'clear' : 'obstructed'
+  };
+}
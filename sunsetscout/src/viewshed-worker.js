@@ -1,58 +1,36 @@
 /**
- * Web Worker for CPU-intensive viewshed obstruction computation.
- * Receives candidates with pre-fetched ray elevations, computes obstruction angles.
+ * Pooled Web Worker for CPU-intensive viewshed obstruction computation.
+ * Each analysis first sends its context: one elevation grid for the whole area
+ * (a transferred or shared Float32Array of decoded tiles) with the ray bands, bearings
+ * and sun options. Batches of candidates follow; the worker casts every ray itself
+ * and samples the grid directly. With a sun path, each candidate gets one ray per sweep step.
+ * Protocol: see worker-pool.js.
  */
+import { evaluateCandidate } from './viewshed-core.js';
 
-const CURVATURE_THRESHOLD = 2000;
-const R_EARTH = 6371000;
+let context = null;
 
-function curvatureDrop(distanceM) {
-  return (distanceM * distanceM) / (2 * R_EARTH);
-}
-
-function computeObstruction(candidate, raySamples) {
-  let maxAngle = -90;
-  let maxBlockerDistance = 0;
-  let maxBlockerElevation = 0;
+self.onmessage = function(event) {
+  const msg = event.data;
 
-  for (const sample of raySamples) {
-    const dist = sample.distance;
-    let terrainElev = sample.elevation;
-    if (dist > CURVATURE_THRESHOLD) terrainElev -= curvatureDrop(dist);
-    const elevDiff = terrainElev - candidate.elevation;
-    const angle = Math.atan2(elevDiff, dist) * (180 / Math.PI);
-    if (angle > maxAngle) {
-      maxAngle = angle;
-      maxBlockerDistance = dist;
-      maxBlockerElevation = sample.elevation;
-    }
+  if (msg.type === 'context') {
+    context = msg.context;
+    return;
+  }
+  if (msg.type === 'release') {
+    context = null;
+    return;
   }
 
-  return {
-    obstructionAngle: maxAngle,
-    maxBlockerDistance,
-    maxBlockerElevation,
-    isClear: maxAngle < 0.5
-  };
-}
-
-self.onmessage = function(event) {
-  const { candidates, rayElevations, sunBearing, sunAltitude } = event.data;
+  const { grid, bands, bearings, options } = context;
+  const candidates = msg.task;
   const results = [];
 
   for (let i = 0; i < candidates.length; i++) {
-    const obstruction = computeObstruction(candidates[i], rayElevations[i]);
-
-    results.push({
-      ...candidates[i],
-      ...obstruction,
-      sunAltitude,
-      sunBearing,
-      viewQuality: obstruction.isClear ? 'clear' : 'obstructed'
-    });
+    results.push(evaluateCandidate(candidates[i], grid, bands, bearings, options));
 
     if (i % 100 === 0 || i === candidates.length - 1) {
-      self.postMessage({ type: 'progress', completed: i + 1, total: candidates.length });
+      self.postMessage({ type: 'progress', completed: i + 1 });
     }
   }
 
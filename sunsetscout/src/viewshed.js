@@ -1,123 +1,117 @@
 /**
  * Viewshed analysis — ray-casting along sunset bearing.
- * Elevation fetching runs on the main thread (needs DOM for terrain tiles).
- * Obstruction computation is delegated to a Web Worker for UI responsiveness.
+ * Rays reach 120 km with spacing and terrain-tile zoom coarsening with distance,
+ * so distant ranges are seen without an unbounded number of tile fetches.
+ * Optionally sweeps the sun's whole golden-hour descent, one ray per sun position.
+ * Elevation tiles are fetched and decoded in the elevation worker into one grid for
+ * the area; a pool of viewshed workers casts rays over that grid and computes
+ * obstructions in batches, keeping the UI thread free. The grid can run to tens of
+ * megabytes, so it is never copied whole to every worker: they share it when the page
+ * is cross-origin isolated, and otherwise each gets just the tiles of its own strip
+ * of candidates.
  */
-import { destinationPoint, curvatureDrop } from './utils.js';
-import { fetchElevations } from './elevation.js';
+import { DEFAULT_REFRACTION, DEG2RAD, chunk, isAbortError } from './utils.js';
+import { fetchRayGrid } from './elevation-client.js';
+import { subsetElevationGrid } from './elevation.js';
+import { evaluateCandidate, planRayTiles } from './viewshed-core.js';
+import { createWorkerPool } from './worker-pool.js';
 
-const RAY_SAMPLE_SPACING = 300;  // meters between samples along ray
-const RAY_MAX_DISTANCE = 8000;   // meters max ray distance
-const CURVATURE_THRESHOLD = 2000; // apply curvature correction beyond this
+export { generateRayPoints, planRayTiles, castRay, isSunVisible, computeObstruction, computeSweep, computeGlow, classifyHorizon, computeGroundSlope } from './viewshed-core.js';
 
-/**
- * Generate sample points along a ray from an origin in a given bearing.
- */
-export function generateRayPoints(originLat, originLng, bearingDeg, maxDist = RAY_MAX_DISTANCE, spacing = RAY_SAMPLE_SPACING) {
-  const points = [];
-  for (let d = spacing; d <= maxDist; d += spacing) {
-    const pt = destinationPoint(originLat, originLng, bearingDeg, d);
-    points.push({ ...pt, distance: d });
+const BATCH_SIZE = 250; // candidates per worker task
+
+// Workers are kept between searches; created on first use
+let pool = null;
+
+function getPool() {
+  if (!pool && typeof Worker !== 'undefined') {
+    pool = createWorkerPool(() => new Worker(
+      new URL('./viewshed-worker.js', import.meta.url),
+      { type: 'module' }
+    ));
   }
-  return points;
+  return pool;
 }
 
 /**
- * Compute the obstruction angle for a candidate viewpoint along a bearing.
- * @param {object} candidate - {lat, lng, elevation}
- * @param {Array} raySamples - [{lat, lng, elevation, distance}]
- * @returns {object} {obstructionAngle, maxBlockerDistance, maxBlockerElevation, isClear}
+ * Split candidates into strips across the event bearing, each a similar number of
+ * candidates; rays from one strip read mostly the same tiles, and few of another's.
+ * @returns {Array<Array<number>>} candidate indices per strip
  */
-export function computeObstruction(candidate, raySamples) {
-  let maxAngle = -90;
-  let maxBlockerDistance = 0;
-  let maxBlockerElevation = 0;
-
-  for (const sample of raySamples) {
-    const dist = sample.distance;
-    let terrainElev = sample.elevation;
-
-    // Apply earth curvature correction for distant points
-    if (dist > CURVATURE_THRESHOLD) {
-      terrainElev -= curvatureDrop(dist);
-    }
-
-    const elevDiff = terrainElev - candidate.elevation;
-    const angle = Math.atan2(elevDiff, dist) * (180 / Math.PI);
-
-    if (angle > maxAngle) {
-      maxAngle = angle;
-      maxBlockerDistance = dist;
-      maxBlockerElevation = sample.elevation;
-    }
-  }
-
-  return {
-    obstructionAngle: maxAngle,
-    maxBlockerDistance,
-    maxBlockerElevation,
-    isClear: maxAngle < 0.5 // sun center is ~0.25° radius, give small margin
-  };
+function splitIntoStrips(candidates, bearing, count) {
+  const theta = bearing * DEG2RAD;
+  const across = c => c.lng * Math.cos(c.lat * DEG2RAD) * Math.cos(theta) - c.lat * Math.sin(theta);
+  const order = candidates.map((c, i) => ({ i, x: across(c) })).sort((a, b) => a.x - b.x);
+  const size = Math.ceil(order.length / count);
+  return chunk(order.map(o => o.i), size);
 }
 
 /**
- * Try to run obstruction computation in a Web Worker.
- * Falls back to main-thread computation if the worker fails.
+ * Run obstruction computation across the worker pool, a batch of candidates at a time.
+ * A shared grid is read in place by every worker. Otherwise the candidates are split
+ * into one strip per worker, and each strip's worker is handed a copy of just the
+ * tiles its rays read, transferred rather than cloned. Falls back to main-thread
+ * computation if the workers fail.
  */
-function computeInWorker(validCandidates, rayElevations, sunBearing, sunAltitude, onProgress) {
-  return new Promise((resolve) => {
-    let worker;
-    try {
-      worker = new Worker(
-        new URL('./viewshed-worker.js', import.meta.url),
-        { type: 'module' }
-      );
-    } catch {
-      resolve(computeOnMainThread(validCandidates, rayElevations, sunBearing, sunAltitude, onProgress));
-      return;
-    }
+async function computeInWorkers(candidates, grid, bands, bearings, options, onProgress, signal) {
+  const workerPool = getPool();
+  if (!workerPool) return computeOnMainThread(candidates, grid, bands, bearings, options, onProgress, signal);
+
+  const shared = typeof SharedArrayBuffer !== 'undefined' && grid.data.buffer instanceof SharedArrayBuffer;
+  const strips = shared
+    ? [candidates.map((_, i) => i)]
+    : splitIntoStrips(candidates, bearings[bearings.length - 1], Math.min(workerPool.size, Math.ceil(candidates.length / BATCH_SIZE)));
+  const progress = strips.map(() => 0);
+
+  try {
+    const runs = strips.map((indices, s) => {
+      const stripGrid = shared
+        ? grid
+        : subsetElevationGrid(grid, planRayTiles(indices.map(i => candidates[i]), bearings, Infinity, bands).tiles);
+      // Only the fields evaluateCandidate() needs are posted
+      const batches = chunk(indices.map(i => ({
+        lat: candidates[i].lat,
+        lng: candidates[i].lng,
+        elevation: candidates[i].elevation,
+        observerHeight: candidates[i].observerHeight
+      })), BATCH_SIZE);
+
+      return workerPool.run(batches, { grid: stripGrid, bands, bearings, options }, (completed) => {
+        progress[s] = completed;
+        if (onProgress) onProgress(progress.reduce((sum, n) => sum + n, 0), candidates.length, 'analysis');
+      }, signal, shared ? null : [stripGrid.data.buffer]);
+    });
 
-    worker.onmessage = (event) => {
-      const msg = event.data;
-      if (msg.type === 'progress') {
-        if (onProgress) onProgress(msg.completed, msg.total, 'analysis');
-      } else if (msg.type === 'result') {
-        worker.terminate();
-        resolve(msg.data);
-      }
-    };
-
-    worker.onerror = () => {
-      console.warn('Viewshed worker failed, falling back to main thread');
-      worker.terminate();
-      resolve(computeOnMainThread(validCandidates, rayElevations, sunBearing, sunAltitude, onProgress));
-    };
-
-    worker.postMessage({
-      candidates: validCandidates.map(c => ({ lat: c.lat, lng: c.lng, elevation: c.elevation })),
-      rayElevations,
-      sunBearing,
-      sunAltitude
+    // Put the candidates' own fields back, in their original order
+    const results = new Array(candidates.length);
+    (await Promise.all(runs)).forEach((batches, s) => {
+      batches.flat().forEach((result, k) => {
+        const i = strips[s][k];
+        results[i] = { ...candidates[i], ...result };
+      });
     });
-  });
+    return results;
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    console.warn('Viewshed workers failed, falling back to main thread:', err.message);
+    return computeOnMainThread(candidates, grid, bands, bearings, options, onProgress, signal);
+  }
 }
 
 /**
- * Main-thread fallback for obstruction computation.
+ * Main-thread fallback for obstruction computation. Yields to the page between
+ * batches, so it stays responsive and a cancel is honoured within a batch.
  */
-function computeOnMainThread(validCandidates, rayElevations, sunBearing, sunAltitude, onProgress) {
+async function computeOnMainThread(candidates, grid, bands, bearings, options, onProgress, signal) {
   const results = [];
-  for (let i = 0; i < validCandidates.length; i++) {
-    const obstruction = computeObstruction(validCandidates[i], rayElevations[i]);
-    results.push({
-      ...validCandidates[i],
-      ...obstruction,
-      sunAltitude,
-      sunBearing,
-      viewQuality: obstruction.isClear ? 'clear' : 'obstructed'
-    });
-    if (onProgress && (i % 100 === 0 || i === validCandidates.length - 1)) {
-      onProgress(i + 1, validCandidates.length, 'analysis');
+  for (let i = 0; i < candidates.length; i++) {
+    if (i % BATCH_SIZE === 0) {
+      if (i > 0) await new Promise(r => setTimeout(r, 0));
+      if (signal) signal.throwIfAborted();
+    }
+    results.push(evaluateCandidate(candidates[i], grid, bands, bearings, options));
+    if (onProgress && (i % 100 === 0 || i === candidates.length - 1)) {
+      onProgress(i + 1, candidates.length, 'analysis');
     }
   }
   return results;
@@ -125,51 +119,45 @@ function computeOnMainThread(validCandidates, rayElevations, sunBearing, sunAlti
 
 /**
  * Run full viewshed analysis for a set of candidate points.
- * Elevation fetching on main thread, computation delegated to Web Worker.
+ * The elevation worker plans and loads one elevation grid covering every ray;
+ * the viewshed worker pool casts the rays over it and computes obstructions.
  * @param {Array} candidates - [{lat, lng, elevation}] with elevations already fetched
  * @param {number} sunBearing - sunset azimuth in degrees
  * @param {number} sunAltitude - sun altitude at sunset in degrees
  * @param {function} onProgress - optional callback(completed, total, phase)
+ * @param {object} options - {sunPath} to sweep the golden hour instead of a single bearing,
+ *   {glowArc} bearings to rate the view across the twilight glow instead,
+ *   {refraction} coefficient k for the curvature correction,
+ *   {observerHeight} eye height in meters above the ground (per-candidate observerHeight wins),
+ *   {rayGrid} a {grid, bands} from fetchRayGrid() already covering these rays, e.g. loaded
+ *   once for several days' bearings; without it the grid is loaded here,
+ *   {signal} to cancel: tile loading and worker tasks stop and the promise rejects with an AbortError
  * @returns {Array} candidates with viewshed results added
  */
-export async function analyzeViewshed(candidates, sunBearing, sunAltitude, onProgress) {
+export async function analyzeViewshed(candidates, sunBearing, sunAltitude, onProgress, options = {}) {
+  const { sunPath = null, glowArc = null, refraction = DEFAULT_REFRACTION, observerHeight = 0, rayGrid = null, signal } = options;
+  let bearings = [sunBearing];
+  if (glowArc) bearings = glowArc;
+  else if (sunPath) bearings = sunPath.map(step => step.azimuth);
+
   // Filter out candidates with null elevation
   const validCandidates = candidates.filter(c => c.elevation != null);
+  const origins = validCandidates.map(c => ({ lat: c.lat, lng: c.lng }));
 
-  // Generate all ray sample points (main thread — just math)
-  const allRayPoints = [];
-  const rayPointCounts = [];
-
-  for (const c of validCandidates) {
-    const rayPts = generateRayPoints(c.lat, c.lng, sunBearing);
-    allRayPoints.push(...rayPts);
-    rayPointCounts.push(rayPts.length);
-  }
-
-  // Fetch all ray elevations in bulk (main thread — needs DOM for terrain tiles)
-  const elevatedPoints = await fetchElevations(allRayPoints, (done, total) => {
+  const { grid, bands } = rayGrid || await fetchRayGrid(origins, bearings, (done, total) => {
     if (onProgress) onProgress(done, total, 'elevation');
-  });
-
-  // Split into per-candidate ray arrays for the worker
-  let offset = 0;
-  const rayElevations = [];
-  for (let i = 0; i < validCandidates.length; i++) {
-    const count = rayPointCounts[i];
-    const raySamples = elevatedPoints.slice(offset, offset + count)
-      .filter(pt => pt.elevation != null)
-      .map((pt, j) => ({
-        lat: pt.lat,
-        lng: pt.lng,
-        elevation: pt.elevation,
-        distance: (j + 1) * RAY_SAMPLE_SPACING
-      }));
-    offset += count;
-    rayElevations.push(raySamples);
-  }
+  }, { signal });
 
-  // Delegate obstruction computation to worker (or fallback)
+  // Delegate ray casting and obstruction computation to the workers (or fallback)
   if (onProgress) onProgress(0, validCandidates.length, 'analysis');
 
-  return computeInWorker(validCandidates, rayElevations, sunBearing, sunAltitude, onProgress);
+  return computeInWorkers(
+    validCandidates,
+    grid,
+    bands,
+    bearings,
+    { sunBearing, sunAltitude, sunPath, glow: !!glowArc, refraction, observerHeight },
+    onProgress,
+    signal
+  );
 }
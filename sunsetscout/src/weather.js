@@ -1,44 +1,138 @@
 /**
  * Weather data from Open-Meteo forecast API.
- * Fetches hourly data to get conditions at the actual sunset hour.
+ * Fetches hourly data to get conditions at the actual sunset hour, at the search
+ * center and at points along the sun's azimuth, where the clouds that catch
+ * (or block) the light are.
  */
-import { fetchWithRetry } from './utils.js';
+import { fetchWithRetry, destinationPoint, isAbortError } from './utils.js';
+import { predictSunsetColor } from './sunset-color.js';
+import { zonedParts, isValidTimeZone } from './timezone.js';
 
-const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
+// Point VITE_WEATHER_URL / VITE_AIR_QUALITY_URL at a local Open-Meteo stand-in to test without the network
+const WEATHER_URL = import.meta.env?.VITE_WEATHER_URL || 'https://api.open-meteo.com/v1/forecast';
+const AIR_QUALITY_URL = import.meta.env?.VITE_AIR_QUALITY_URL || 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+// Distances in km toward the sun at which clouds are sampled; 0 is the search center
+const CLOUD_SAMPLE_DISTANCES = [0, 25, 50, 100, 150, 200, 300];
+
+// Cloud layers as Open-Meteo defines them, with their altitude bands in km
+const CLOUD_LAYERS = [
+  { key: 'high', label: 'High', bottom: 8, top: 12 },
+  { key: 'mid', label: 'Mid', bottom: 3, top: 8 },
+  { key: 'low', label: 'Low', bottom: 0, top: 3 }
+];
+
+const HOURLY_FIELDS = [
+  'cloud_cover', 'cloud_cover_low', 'cloud_cover_mid', 'cloud_cover_high',
+  'relative_humidity_2m', 'precipitation_probability', 'visibility', 'wind_speed_10m'
+];
+
+const FALLBACK_HOUR = 19; // local hour read when there is no sunset time
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 120;
+const CHART_PAD = 20;
+
+/**
+ * Points along the sun's azimuth at which to sample clouds.
+ * @returns {Array<{lat, lng, distance}>} distance in km from the center
+ */
+export function cloudSamplePoints(lat, lng, azimuth, distances = CLOUD_SAMPLE_DISTANCES) {
+  return distances.map(distance => {
+    const point = distance === 0 ? { lat, lng } : destinationPoint(lat, lng, azimuth, distance * 1000);
+    return { lat: point.lat, lng: point.lng, distance };
+  });
+}
 
 /**
  * Fetch weather forecast for a location, focused on the sunset hour.
+ * With the sun's azimuth, clouds are also sampled along it in the same request.
+ * Aerosol optical depth comes from the air-quality API; without it the colour
+ * prediction simply leaves haze out.
  * @param {number} lat
  * @param {number} lng
  * @param {Date} sunsetTime - the sunset Date to extract the right hour
+ * @param {object} options - {azimuth, signal} azimuth of the sun in degrees;
+ *   signal to cancel the request
  */
-export async function fetchWeather(lat, lng, sunsetTime) {
+export async function fetchWeather(lat, lng, sunsetTime, options = {}) {
+  const { azimuth = null, signal } = options;
+  const path = azimuth == null ? cloudSamplePoints(lat, lng, 0, [0]) : cloudSamplePoints(lat, lng, azimuth);
+
   const params = new URLSearchParams({
-    latitude: lat.toFixed(4),
-    longitude: lng.toFixed(4),
-    hourly: 'cloud_cover,precipitation_probability,visibility,wind_speed_10m',
+    latitude: path.map(p => p.lat.toFixed(4)).join(','),
+    longitude: path.map(p => p.lng.toFixed(4)).join(','),
+    hourly: HOURLY_FIELDS.join(','),
     daily: 'cloud_cover_mean,precipitation_probability_max',
     timezone: 'auto',
     forecast_days: '7'
   });
 
-  const response = await fetchWithRetry(`${WEATHER_URL}?${params}`);
-  const data = await response.json();
+  const [response, airQuality] = await Promise.all([
+    fetchWithRetry(`${WEATHER_URL}?${params}`, { signal }),
+    fetchAirQuality(lat, lng, signal)
+  ]);
+  return parseForecast(await response.json(), path, sunsetTime, airQuality);
+}
+
+/**
+ * Fetch the hourly aerosol optical depth forecast, or null if it is unavailable.
+ */
+async function fetchAirQuality(lat, lng, signal) {
+  const params = new URLSearchParams({
+    latitude: lat.toFixed(4),
+    longitude: lng.toFixed(4),
+    hourly: 'aerosol_optical_depth',
+    timezone: 'auto',
+    forecast_days: '5'
+  });
+
+  try {
+    const response = await fetchWithRetry(`${AIR_QUALITY_URL}?${params}`, { signal }, 1);
+    return await response.json();
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    console.warn('Air quality data unavailable:', err);
+    return null;
+  }
+}
 
-  if (!data.daily) {
+/**
+ * Turn an Open-Meteo response into per-day sunset conditions.
+ * @param {object|Array} data - one forecast, or one per path point for multi-location requests
+ * @param {Array} path - from cloudSamplePoints(), in request order; the first is the center
+ * @param {Date} sunsetTime - the sunset Date to extract the right hour
+ * @param {object} airQuality - Open-Meteo air-quality response with hourly aerosol_optical_depth, if any
+ */
+export function parseForecast(data, path, sunsetTime, airQuality = null) {
+  const forecasts = Array.isArray(data) ? data : [data];
+  const [center] = forecasts;
+
+  if (!center || !center.daily) {
     throw new Error('Weather data unavailable');
   }
 
-  const sunsetHour = sunsetTime ? sunsetTime.getHours() : 19;
+  // The other days' sunsets fall a whole number of days from this one, give or take minutes
+  const sunsetDate = sunsetTime ? hourlyRow(center, sunsetTime).slice(0, 10) : null;
+
+  return center.daily.time.map((date, i) => {
+    const instant = sunsetTime ? new Date(sunsetTime.getTime() + (Date.parse(date) - Date.parse(sunsetDate))) : null;
 
-  return data.daily.time.map((date, i) => {
     // Try to get hourly data at sunset hour for this day
-    const hourly = extractHourlyAtSunset(data.hourly, date, sunsetHour);
+    const hourly = extractHourlyAtSunset(center, date, instant);
 
-    const cloudCover = hourly ? hourly.cloudCover : data.daily.cloud_cover_mean[i];
-    const precipProb = hourly ? hourly.precipProb : data.daily.precipitation_probability_max[i];
+    const cloudCover = hourly ? hourly.cloudCover : center.daily.cloud_cover_mean[i];
+    const precipProb = hourly ? hourly.precipProb : center.daily.precipitation_probability_max[i];
     const visibility = hourly ? hourly.visibility : null;
     const windSpeed = hourly ? hourly.windSpeed : null;
+    const humidity = hourly ? hourly.humidity : null;
+    const aerosol = airQuality ? hourlyValue(airQuality, 'aerosol_optical_depth', date, instant) : null;
+
+    // Cloud layers toward the sun; empty where the forecast has no hourly layers
+    const cloudPath = forecasts.flatMap((forecast, j) => {
+      const at = path[j] && extractHourlyAtSunset(forecast, date, instant);
+      return at && at.layers ? [{ ...path[j], ...at.layers }] : [];
+    });
 
     return {
       date,
@@ -46,45 +140,112 @@ export async function fetchWeather(lat, lng, sunsetTime) {
       precipProbability: precipProb,
       visibility,
       windSpeed,
+      humidity,
+      aerosol,
       isHourly: !!hourly,
-      quality: rateSunsetQuality(cloudCover, precipProb, visibility, windSpeed)
+      cloudPath,
+      quality: predictSunsetColor({ cloudCover, cloudPath, humidity, aerosol, precipProbability: precipProb, visibility })
     };
   });
 }
 
 /**
- * Extract hourly weather values at the sunset hour for a given date.
- * @returns {{cloudCover, precipProb, visibility, windSpeed}} or null
+ * The hourly row label ('YYYY-MM-DDTHH:00') an instant falls in on a forecast's own clock.
+ * With timezone: 'auto' every location of a multi-location request comes on its own
+ * clock; a forecast with only a UTC offset is read at that offset, one with neither
+ * on the browser's clock.
+ */
+function hourlyRow(forecast, instant) {
+  const pad = n => String(n).padStart(2, '0');
+  let parts;
+  if (!isValidTimeZone(forecast.timezone) && forecast.utc_offset_seconds != null) {
+    const shifted = new Date(instant.getTime() + forecast.utc_offset_seconds * 1000);
+    parts = { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate(), hour: shifted.getUTCHours() };
+  } else {
+    parts = zonedParts(instant, isValidTimeZone(forecast.timezone) ? forecast.timezone : null);
+  }
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:00`;
+}
+
+/**
+ * Index of the hourly row holding a day's sunset, or -1.
+ * Without a sunset instant, the row at FALLBACK_HOUR on the date.
+ */
+function sunsetHourIndex(forecast, dateStr, instant) {
+  const hourly = forecast && forecast.hourly;
+  if (!hourly || !hourly.time) return -1;
+  return hourly.time.indexOf(instant ? hourlyRow(forecast, instant) : `${dateStr}T${FALLBACK_HOUR}:00`);
+}
+
+/**
+ * One hourly field at a day's sunset, or null.
  */
-function extractHourlyAtSunset(hourly, dateStr, sunsetHour) {
-  if (!hourly || !hourly.time) return null;
+function hourlyValue(forecast, field, dateStr, instant) {
+  const idx = sunsetHourIndex(forecast, dateStr, instant);
+  return idx === -1 || !forecast.hourly[field] ? null : forecast.hourly[field][idx] ?? null;
+}
 
-  // Find the index matching this date at the sunset hour
-  const targetTime = `${dateStr}T${String(sunsetHour).padStart(2, '0')}:00`;
-  const idx = hourly.time.indexOf(targetTime);
+/**
+ * Extract hourly weather values at a day's sunset.
+ * @param {Date|null} instant - that day's sunset
+ * @returns {{cloudCover, precipProb, visibility, windSpeed, humidity, layers}} or null
+ */
+function extractHourlyAtSunset(forecast, dateStr, instant) {
+  const idx = sunsetHourIndex(forecast, dateStr, instant);
   if (idx === -1) return null;
+  const { hourly } = forecast;
 
   return {
     cloudCover: hourly.cloud_cover[idx],
     precipProb: hourly.precipitation_probability[idx],
     visibility: hourly.visibility ? hourly.visibility[idx] : null,
-    windSpeed: hourly.wind_speed_10m ? hourly.wind_speed_10m[idx] : null
+    windSpeed: hourly.wind_speed_10m ? hourly.wind_speed_10m[idx] : null,
+    humidity: hourly.relative_humidity_2m ? hourly.relative_humidity_2m[idx] : null,
+    layers: hourly.cloud_cover_low
+      ? { low: hourly.cloud_cover_low[idx], mid: hourly.cloud_cover_mid[idx], high: hourly.cloud_cover_high[idx] }
+      : null
   };
 }
 
 /**
- * Rate the sunset quality based on weather conditions.
+ * Render cloud layers along the sun's azimuth as an SVG cross-section:
+ * distance toward the sun across, low/mid/high layers up, shaded by cover.
+ * @param {Array} cloudPath - [{distance, low, mid, high}] distance in km, cover in %
  */
-export function rateSunsetQuality(cloudCover, precipProb, visibility, windSpeed) {
-  // Heavy rain or very low visibility = poor
-  if (precipProb > 60) return { label: 'Poor', class: 'poor', icon: '🌧', description: 'Rain likely — poor visibility' };
-  if (visibility != null && visibility < 5000) return { label: 'Poor', class: 'poor', icon: '🌫', description: 'Low visibility — hazy conditions' };
-
-  // Strong wind degrades experience
-  if (windSpeed != null && windSpeed > 50) return { label: 'Fair', class: 'fair', icon: '💨', description: 'Very windy — uncomfortable viewing' };
-
-  if (cloudCover < 15) return { label: 'Great', class: 'great', icon: '☀', description: 'Clear skies — excellent sunset' };
-  if (cloudCover < 40) return { label: 'Amazing', class: 'amazing', icon: '🌅', description: 'Partial clouds — potentially stunning colors' };
-  if (cloudCover < 70) return { label: 'Fair', class: 'fair', icon: '⛅', description: 'Moderate clouds — decent sunset possible' };
-  return { label: 'Poor', class: 'poor', icon: '☁', description: 'Overcast — limited sunset visibility' };
+export function renderCloudSection(cloudPath) {
+  if (cloudPath.length === 0) return '';
+
+  const maxDistance = Math.max(...cloudPath.map(p => p.distance), 1);
+  const plotW = CHART_WIDTH - CHART_PAD * 2;
+  const plotH = CHART_HEIGHT - CHART_PAD * 2;
+  const round = v => Math.round(v * 10) / 10;
+  const x = km => round(CHART_PAD + (km / maxDistance) * plotW);
+  const y = altKm => round(CHART_PAD + (1 - altKm / 12) * plotH);
+
+  // Each sample shades the span halfway to its neighbours
+  const spans = cloudPath.map((p, i) => ({
+    ...p,
+    from: i === 0 ? 0 : (cloudPath[i - 1].distance + p.distance) / 2,
+    to: i === cloudPath.length - 1 ? maxDistance : (p.distance + cloudPath[i + 1].distance) / 2
+  }));
+
+  const cells = spans.flatMap(p => CLOUD_LAYERS.map(layer => `<rect class="cloud-cell" x="${x(p.from)}" y="${y(layer.top)}" width="${round(x(p.to) - x(p.from))}" height="${round(y(layer.bottom) - y(layer.top))}" fill-opacity="${round(p[layer.key] / 100)}"><title>${layer.label} cloud ${p[layer.key]}% at ${p.distance} km</title></rect>`)).join('');
+
+  const layerLabels = CLOUD_LAYERS.map(layer =>
+    `<text class="chart-axis" x="2" y="${round((y(layer.top) + y(layer.bottom)) / 2 + 3)}">${layer.label[0]}</text>`
+  ).join('');
+
+  const ticks = cloudPath.filter(p => p.distance % 100 === 0).map(p =>
+    `<text class="chart-axis" x="${x(p.distance)}" y="${CHART_HEIGHT - 6}" text-anchor="middle">${p.distance === 0 ? 'here' : `${p.distance} km`}</text>`
+  ).join('');
+
+  return `
+    <svg class="cloud-section" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}">
+      ${cells}
+      <line class="horizon-zero" x1="${x(0)}" y1="${y(0)}" x2="${x(maxDistance)}" y2="${y(0)}"/>
+      ${layerLabels}
+      ${ticks}
+      <text class="chart-label" x="${x(maxDistance)}" y="${CHART_PAD - 6}" text-anchor="end">toward the sun ☀</text>
+    </svg>
+  `;
 }
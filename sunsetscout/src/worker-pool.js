@@ -0,0 +1,189 @@
+/**
+ * A reusable pool of Web Workers sharing out batches of work.
+ * Workers stay alive between runs. Each run carries a context (e.g. the
+ * elevation grid) that is posted once to every worker taking part, then one
+ * task per batch; progress from all workers is merged into one count.
+ * A context can instead be transferred, without a copy, to a single worker
+ * that then runs all of that run's tasks.
+ *
+ * Worker protocol:
+ *   in:  {type: 'context', context} | {type: 'task', task} | {type: 'release'}
+ *   out: {type: 'progress', completed} within the current task | {type: 'result', data}
+ */
+
+/**
+ * @param {function} createWorker - returns a new Worker
+ * @param {number} size - maximum number of workers
+ */
+export function createWorkerPool(createWorker, size = globalThis.navigator?.hardwareConcurrency || 4) {
+  let slots = [];
+  let idle = [];
+  let queue = [];
+  let nextJobId = 0;
+
+  /** Tear every worker down and reject all unfinished runs; the pool stays usable. */
+  function fail(err) {
+    const jobs = new Set(queue.map(item => item.job));
+    for (const slot of slots) {
+      if (slot.item) jobs.add(slot.item.job);
+      slot.item = null;
+      slot.worker.terminate();
+    }
+    slots = [];
+    idle = [];
+    queue = [];
+    for (const job of jobs) {
+      job.remaining = 0;
+      job.reject(err);
+    }
+  }
+
+  /** Let go of a finished run's context in idle workers still holding it. */
+  function release(job) {
+    for (const slot of idle) {
+      if (slot.jobId === job.id) {
+        slot.worker.postMessage({ type: 'release' });
+        slot.jobId = null;
+      }
+    }
+  }
+
+  /**
+   * Drop a run's queued tasks and stop the workers busy with it.
+   * A worker mid-task can only be stopped by terminating it; fresh ones are spawned on demand.
+   */
+  function cancel(job, reason) {
+    if (job.remaining === 0) return;
+    job.remaining = 0;
+    queue = queue.filter(item => item.job !== job);
+    for (const slot of slots) {
+      if (slot.item && slot.item.job === job) {
+        slot.item = null;
+        slot.worker.terminate();
+      }
+    }
+    slots = slots.filter(slot => slot.item || idle.includes(slot));
+    release(job);
+    job.reject(reason);
+    dispatch();
+  }
+
+  function spawn() {
+    const slot = { worker: createWorker(), item: null, jobId: null, owns: null };
+
+    slot.worker.onmessage = (event) => {
+      // Late messages from a worker torn down by fail() are dropped
+      if (!slot.item) return;
+      const msg = event.data;
+      const { job, index } = slot.item;
+
+      if (msg.type === 'progress') {
+        job.progress[index] = msg.completed;
+        if (job.onProgress) job.onProgress(job.progress.reduce((sum, n) => sum + n, 0));
+        return;
+      }
+
+      job.results[index] = msg.data;
+      slot.item = null;
+      idle.push(slot);
+      if (--job.remaining === 0) {
+        release(job);
+        job.resolve(job.results);
+      }
+      dispatch();
+    };
+
+    slot.worker.onerror = (event) => {
+      if (event.preventDefault) event.preventDefault();
+      fail(new Error(event.message || 'Worker failed'));
+    };
+
+    slots.push(slot);
+    return slot;
+  }
+
+  /** A free worker for a run's next task, or null; a transferred context binds its run to one worker. */
+  function takeSlot(job) {
+    if (job.owner) {
+      const i = idle.indexOf(job.owner);
+      return i >= 0 ? idle.splice(i, 1)[0] : null;
+    }
+    // Workers holding another unfinished run's transferred context are kept for that run
+    const i = idle.findLastIndex(slot => !slot.owns || slot.owns.remaining === 0);
+    const slot = i >= 0 ? idle.splice(i, 1)[0] : (slots.length < size ? spawn() : null);
+    if (!slot) return null;
+    slot.owns = job.transfer ? job : null;
+    if (job.transfer) job.owner = slot;
+    return slot;
+  }
+
+  function dispatch() {
+    try {
+      for (let i = 0; i < queue.length && (idle.length > 0 || slots.length < size); ) {
+        const item = queue[i];
+        const slot = takeSlot(item.job);
+        if (!slot) {
+          i++;
+          continue;
+        }
+        queue.splice(i, 1);
+        slot.item = item;
+        if (slot.jobId !== item.job.id) {
+          slot.worker.postMessage({ type: 'context', context: item.job.context }, item.job.transfer || []);
+          slot.jobId = item.job.id;
+        }
+        slot.worker.postMessage({ type: 'task', task: item.job.tasks[item.index] });
+      }
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  return {
+    size,
+
+    /**
+     * Run tasks across the pool.
+     * @param {Array} tasks - one message payload per batch
+     * @param {*} context - posted once to each worker before its first task of this run
+     * @param {function} onProgress - optional callback(completed) summed over all tasks
+     * @param {AbortSignal} signal - optional; aborting rejects the run and stops its tasks
+     * @param {Array} transfer - optional objects in the context to transfer instead of copying;
+     *   the context then goes to one worker only, which runs every task
+     * @returns {Promise<Array>} task results, in task order
+     */
+    run(tasks, context, onProgress, signal, transfer = null) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+        if (tasks.length === 0) {
+          resolve([]);
+          return;
+        }
+        const job = {
+          id: ++nextJobId,
+          tasks,
+          context,
+          transfer,
+          owner: null,
+          onProgress,
+          progress: tasks.map(() => 0),
+          results: new Array(tasks.length),
+          remaining: tasks.length,
+          resolve,
+          reject
+        };
+        tasks.forEach((_, index) => queue.push({ job, index }));
+        if (signal) signal.addEventListener('abort', () => cancel(job, signal.reason), { once: true });
+        dispatch();
+      });
+    },
+
+    /** Stop every worker, rejecting unfinished runs. */
+    terminate() {
+      fail(new Error('Worker pool terminated'));
+    }
+  };
+}
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  landmarkSight, sunTrack, sunAtAltitude, findAlignments, bestAlignments,
+  sightLinePoints, isLandmarkVisible, filterVisible
+} from '../src/alignment.js';
+import { getSunAzimuth, getSunAltitude } from '../src/solar.js';
+import { destinationPoint, SUN_HORIZON_OFFSET } from '../src/utils.js';
+
+describe('alignment', () => {
+  // A hilltop near Stonehenge, with a 20 m mast on it
+  const landmark = { lat: 51.18, lng: -1.83, elevation: 150, height: 20 };
+  const equinox = new Date('2024-03-20T12:00:00Z');
+
+  describe('landmarkSight', () => {
+    it('measures the bearing, distance and angle up to the top', () => {
+      const observer = { ...destinationPoint(landmark.lat, landmark.lng, 270, 2000), elevation: 100 };
+      const sight = landmarkSight(observer, landmark, { refraction: 0 });
+      expect(sight.bearing).toBeCloseTo(90, 0);
+      expect(sight.distance).toBeCloseTo(2000, -1);
+      // 70 m up over 2 km, less 0.3 m of curvature
+      expect(sight.angle).toBeCloseTo(Math.atan2(70 - 0.31, 2000) * 180 / Math.PI, 2);
+    });
+
+    it("raises the eye by the observer's height", () => {
+      const observer = { ...destinationPoint(landmark.lat, landmark.lng, 270, 2000), elevation: 100 };
+      const ground = landmarkSight(observer, landmark).angle;
+      expect(landmarkSight(observer, landmark, { observerHeight: 70 }).angle).toBeLessThan(ground);
+      expect(landmarkSight({ ...observer, observerHeight: 0 }, landmark, { observerHeight: 70 }).angle).toBe(ground);
+    });
+  });
+
+  describe('sunTrack', () => {
+    it('runs from noon with the altitude falling, for both events', () => {
+      for (const mode of ['sunset', 'sunrise']) {
+        const track = sunTrack(landmark.lat, landmark.lng, equinox, mode);
+        expect(track[0].altitude).toBeGreaterThan(35);
+        expect(track[track.length - 1].altitude).toBeLessThan(-30);
+        for (let i = 1; i < track.length; i++) {
+          expect(track[i].altitude).toBeLessThan(track[i - 1].altitude);
+        }
+      }
+    });
+  });
+
+  describe('sunAtAltitude', () => {
+    const track = sunTrack(landmark.lat, landmark.lng, equinox);
+
+    it('interpolates the time and azimuth the sun passes an altitude', () => {
+      const sun = sunAtAltitude(track, 2);
+      expect(getSunAltitude(landmark.lat, landmark.lng, sun.time)).toBeCloseTo(2, 1);
+      expect(sun.azimuth).toBeCloseTo(getSunAzimuth(landmark.lat, landmark.lng, sun.time), 1);
+      expect(sun.azimuth).toBeGreaterThan(260);
+      expect(sun.azimuth).toBeLessThan(275);
+    });
+
+    it('returns null for altitudes the sun never reaches', () => {
+      expect(sunAtAltitude(track, 60)).toBeNull();
+      expect(sunAtAltitude([], 0)).toBeNull();
+    });
+  });
+
+  describe('findAlignments', () => {
+    // Stand where the equinox sun sets behind the mast: 3 km back along its bearing
+    const place = (distance) => {
+      const top = landmark.elevation + landmark.height;
+      const probe = { ...destinationPoint(landmark.lat, landmark.lng, 90, distance), elevation: 100 };
+      const angle = landmarkSight(probe, landmark).angle;
+      const sun = sunAtAltitude(sunTrack(landmark.lat, landmark.lng, equinox), angle - (SUN_HORIZON_OFFSET - 0.267));
+      expect(top).toBeGreaterThan(probe.elevation);
+      return { ...destinationPoint(landmark.lat, landmark.lng, (sun.azimuth + 180) % 360, distance), elevation: 100 };
+    };
+
+    it('finds the day the sun sets behind the landmark', () => {
+      const observer = place(3000);
+      const matches = findAlignments([observer], landmark, { startDate: equinox, days: 30, timeZone: 'UTC' });
+      expect(matches.length).toBeGreaterThan(0);
+      const [best] = bestAlignments(matches).sort((a, b) => a.error - b.error);
+      expect(best.date).toBe('2024-03-20');
+      expect(best.error).toBeLessThan(0.1);
+      expect(best.observer).toBe(observer);
+      // The sun moves north along the horizon by over half a degree a day in March
+      expect(matches.every(m => m.date <= '2024-03-21')).toBe(true);
+    });
+
+    it('skips observers too close to the landmark', () => {
+      const matches = findAlignments([place(300)], landmark, { startDate: equinox, days: 3, timeZone: 'UTC' });
+      expect(matches).toEqual([]);
+    });
+
+    it('finds no sunrise alignments west of the landmark', () => {
+      const matches = findAlignments([place(3000)], landmark, { startDate: equinox, days: 30, mode: 'sunrise', timeZone: 'UTC' });
+      expect(matches).toEqual([]);
+    });
+  });
+
+  describe('bestAlignments', () => {
+    const observer = {};
+    const matches = [
+      { date: '2024-03-21', error: 0.3, observer },
+      { date: '2024-03-20', error: 0.4, observer },
+      { date: '2024-03-20', error: 0.1, observer },
+      { date: '2024-03-20', error: 0.2, observer }
+    ];
+
+    it('keeps the lowest errors of each day, in date order', () => {
+      expect(bestAlignments(matches).map(m => [m.date, m.error])).toEqual([
+        ['2024-03-20', 0.1],
+        ['2024-03-21', 0.3]
+      ]);
+      expect(bestAlignments(matches, 2).map(m => m.error)).toEqual([0.1, 0.2, 0.3]);
+    });
+  });
+
+  describe('sight lines', () => {
+    const observer = { ...destinationPoint(landmark.lat, landmark.lng, 270, 2000), elevation: 100 };
+    const flat = sightLinePoints(observer, landmark).map(p => ({ ...p, elevation: 100 }));
+
+    it('samples the terrain between observer and landmark', () => {
+      expect(flat.length).toBeGreaterThan(30);
+      expect(flat[0].distance).toBeGreaterThan(0);
+      expect(flat[flat.length - 1].distance).toBeLessThan(2000);
+    });
+
+    it('sees the landmark over low ground but not through a ridge', () => {
+      expect(isLandmarkVisible(observer, landmark, flat)).toBe(true);
+      const ridge = flat.map(p => (Math.abs(p.distance - 1000) < 100 ? { ...p, elevation: 160 } : p));
+      expect(isLandmarkVisible(observer, landmark, ridge)).toBe(false);
+    });
+
+    it('keeps the matches of observers that see the landmark, in one batch', async () => {
+      const blocked = { ...destinationPoint(landmark.lat, landmark.lng, 265, 2000), elevation: 100 };
+      const matches = [
+        { date: '2024-03-20', error: 0.1, observer: blocked },
+        { date: '2024-03-21', error: 0.2, observer },
+        { date: '2024-03-22', error: 0.2, observer: blocked }
+      ];
+      let calls = 0;
+      // A wall in front of the first observer's sight line only
+      const fetchProfile = async (points) => {
+        calls++;
+        return points.map(p => ({ ...p, elevation: p.sight === 0 ? 400 : 100 }));
+      };
+      const visible = await filterVisible(matches, landmark, fetchProfile);
+      expect(calls).toBe(1);
+      expect(visible).toEqual([matches[1]]);
+    });
+  });
+});
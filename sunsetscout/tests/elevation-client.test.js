@@ -0,0 +1,31 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { fetchElevations, fetchRayGrid, setElevationProvider } from '../src/elevation-client.js';
+import { getElevationProvider, sampleElevationGrid } from '../src/elevation.js';
+import { terrariumProvider, rasterProvider, parseAsciiGrid } from '../src/elevation-providers.js';
+
+const raster = parseAsciiGrid('ncols 2\nnrows 2\nxllcorner 10\nyllcorner 45\ncellsize 0.01\n100 200\n300 400\n');
+
+describe('elevation-client', () => {
+  afterEach(() => setElevationProvider(terrariumProvider()));
+
+  describe('without worker support', () => {
+    it('switches the main-thread provider', () => {
+      const provider = rasterProvider(raster);
+      setElevationProvider(provider);
+      expect(getElevationProvider()).toBe(provider);
+    });
+
+    it('fetches on the main thread', async () => {
+      setElevationProvider(rasterProvider(raster));
+      const [pt] = await fetchElevations([{ lat: 45.015, lng: 10.005 }]);
+      expect(pt.elevation).toBeCloseTo(100, 3);
+    });
+
+    it('loads a ray grid on the main thread', async () => {
+      setElevationProvider(rasterProvider(raster));
+      const { grid, bands } = await fetchRayGrid([{ lat: 45.01, lng: 10.01 }], [270]);
+      expect(bands.length).toBeGreaterThan(0);
+      expect(sampleElevationGrid(grid, 45.005, 10.015, bands[0].zoom)).toBeCloseTo(400, 3);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { ENCODINGS, tileProvider, mapboxProvider, tileUrl, parseAsciiGrid, sampleRaster } from '../src/elevation-providers.js';
+
+const GRID = `ncols 3
+nrows 2
+xllcorner 10
+yllcorner 45
+cellsize 0.01
+NODATA_value -9999
+100 200 300
+400 500 -9999
+`;
+
+describe('elevation-providers', () => {
+  describe('ENCODINGS', () => {
+    it('decodes Terrarium sea level', () => {
+      expect(ENCODINGS.terrarium(128, 0, 0)).toBe(0);
+    });
+
+    it('decodes Terrain-RGB sea level', () => {
+      // 100000 * 0.1 - 10000 = 0
+      expect(ENCODINGS['terrain-rgb'](1, 134, 160)).toBeCloseTo(0, 6);
+    });
+  });
+
+  describe('tileProvider', () => {
+    it('fills the URL template', () => {
+      const provider = tileProvider({ url: 'http://localhost:8080/{z}/{x}/{y}.png' });
+      expect(tileUrl(provider, 3, 5, 12)).toBe('http://localhost:8080/12/3/5.png');
+    });
+
+    it('rejects templates without tile coordinates', () => {
+      expect(() => tileProvider({ url: 'http://localhost:8080/tile.png' })).toThrow();
+    });
+
+    it('rejects unknown encodings', () => {
+      expect(() => tileProvider({ url: '/{z}/{x}/{y}.png', encoding: 'lerc' })).toThrow();
+    });
+
+    it('requires a Mapbox token', () => {
+      expect(() => mapboxProvider('')).toThrow();
+      expect(mapboxProvider('pk.abc').url).toContain('access_token=pk.abc');
+    });
+  });
+
+  describe('parseAsciiGrid', () => {
+    it('reads header and values from the north row down', () => {
+      const raster = parseAsciiGrid(GRID);
+      expect(raster.ncols).toBe(3);
+      expect(raster.nrows).toBe(2);
+      expect(raster.west).toBe(10);
+      expect(raster.north).toBeCloseTo(45.02, 10);
+      expect(raster.nodata).toBe(-9999);
+      expect([...raster.data.slice(0, 3)]).toEqual([100, 200, 300]);
+    });
+
+    it('converts center registration to cell edges', () => {
+      const raster = parseAsciiGrid(GRID.replace('xllcorner 10', 'xllcenter 10.005'));
+      expect(raster.west).toBeCloseTo(10, 10);
+    });
+
+    it('rejects projected grids', () => {
+      expect(() => parseAsciiGrid(GRID.replace('xllcorner 10', 'xllcorner 500000'))).toThrow(/geographic/);
+    });
+
+    it('rejects truncated grids', () => {
+      expect(() => parseAsciiGrid(GRID.replace('400 500 -9999', '400'))).toThrow(/values/);
+    });
+  });
+
+  describe('sampleRaster', () => {
+    const raster = parseAsciiGrid(GRID);
+
+    it('returns the cell value at a cell center', () => {
+      expect(sampleRaster(raster, 45.015, 10.005)).toBeCloseTo(100, 3);
+    });
+
+    it('interpolates between cell centers', () => {
+      expect(sampleRaster(raster, 45.015, 10.01)).toBeCloseTo(150, 3);
+      expect(sampleRaster(raster, 45.01, 10.005)).toBeCloseTo(250, 3);
+    });
+
+    it('skips nodata cells', () => {
+      expect(sampleRaster(raster, 45.005, 10.025)).toBeNull();
+      expect(sampleRaster(raster, 45.005, 10.02)).toBeCloseTo(500, 3);
+    });
+
+    it('skips nodata values that float32 cannot hold exactly', () => {
+      const float = parseAsciiGrid(GRID.replaceAll('-9999', '-3.4e38'));
+      expect(sampleRaster(float, 45.005, 10.025)).toBeNull();
+      expect(sampleRaster(float, 45.005, 10.02)).toBeCloseTo(500, 3);
+    });
+
+    it('returns null outside the grid', () => {
+      expect(sampleRaster(raster, 46, 10.01)).toBeNull();
+      expect(sampleRaster(raster, 45.01, 9.99)).toBeNull();
+    });
+  });
+});
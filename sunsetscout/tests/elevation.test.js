@@ -0,0 +1,127 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { bilinearTaps, tileKey, fetchElevations, fetchElevationGrid, sampleElevationGrid, subsetElevationGrid, setElevationProvider } from '../src/elevation.js';
+import { terrariumProvider, rasterProvider, parseAsciiGrid } from '../src/elevation-providers.js';
+
+// Inverse Web Mercator: global pixel coordinates at a zoom back to lat/lng
+function pixelToLatLng(gx, gy, zoom) {
+  const size = (1 << zoom) * 256;
+  const lng = gx / size * 360 - 180;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * gy / size))) * 180 / Math.PI;
+  return { lat, lng };
+}
+
+describe('elevation', () => {
+  describe('bilinearTaps', () => {
+    it('returns four taps whose weights sum to 1', () => {
+      const taps = bilinearTaps(45.123, -122.456, 12);
+      expect(taps.length).toBe(4);
+      expect(taps.reduce((sum, t) => sum + t.weight, 0)).toBeCloseTo(1, 10);
+    });
+
+    it('puts all the weight on a pixel when the point is at its center', () => {
+      const { lat, lng } = pixelToLatLng(1000.5, 2000.5, 12);
+      const taps = bilinearTaps(lat, lng, 12);
+      const heavy = taps.find(t => t.weight > 0.999);
+      expect(heavy).toBeDefined();
+      expect(heavy.px).toBe(1000 % 256);
+      expect(heavy.py).toBe(2000 % 256);
+    });
+
+    it('reaches into the neighbouring tile at a tile edge', () => {
+      // Just inside the right edge of tile x=3 (pixels 768..1023), row in the middle of tile y=7
+      const { lat, lng } = pixelToLatLng(1023.9, 7 * 256 + 100.5, 12);
+      const taps = bilinearTaps(lat, lng, 12).filter(t => t.weight > 0);
+      expect(new Set(taps.map(t => t.tileX))).toEqual(new Set([3, 4]));
+      expect(taps.find(t => t.tileX === 4).px).toBe(0);
+    });
+  });
+
+  describe('tileKey', () => {
+    it('includes the zoom level', () => {
+      expect(tileKey(45, -122, 9).startsWith('9/')).toBe(true);
+      expect(tileKey(45, -122, 9)).not.toBe(tileKey(45, -122, 12));
+    });
+  });
+
+  describe('fetchElevations', () => {
+    const raster = parseAsciiGrid('ncols 2\nnrows 2\nxllcorner 10\nyllcorner 45\ncellsize 0.01\n100 200\n300 400\n');
+
+    afterEach(() => setElevationProvider(terrariumProvider()));
+
+    it('reads a local raster provider without touching the network', async () => {
+      setElevationProvider(rasterProvider(raster));
+      const [pt] = await fetchElevations([{ lat: 45.015, lng: 10.005 }]);
+      expect(pt.elevation).toBeCloseTo(100, 3);
+    });
+
+    it('leaves points outside a raster without fallback empty', async () => {
+      setElevationProvider(rasterProvider(raster));
+      const [inside, outside] = await fetchElevations([{ lat: 45.01, lng: 10.01 }, { lat: 50, lng: 10 }]);
+      expect(inside.elevation).toBeCloseTo(250, 3);
+      expect(outside.elevation).toBeNull();
+    });
+
+    it('rejects at once when cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await expect(fetchElevations([{ lat: 45.01, lng: 10.01 }], null, { signal: controller.signal }))
+        .rejects.toThrow(/abort/i);
+    });
+
+    it('fails when the raster covers none of the points', async () => {
+      setElevationProvider(rasterProvider(raster));
+      await expect(fetchElevations([{ lat: 50, lng: 10 }])).rejects.toThrow(/No elevation data/);
+    });
+  });
+
+  describe('sampleElevationGrid', () => {
+    // One z1 tile whose elevation is its pixel column
+    const data = new Float32Array(256 * 256);
+    for (let i = 0; i < data.length; i++) data[i] = i % 256;
+    const grid = { maxZoom: 1, index: { '1/0/0': 0 }, data, raster: null };
+
+    it('interpolates between pixels of a loaded tile', () => {
+      const taps = bilinearTaps(45, -120, 1);
+      const expected = taps.reduce((sum, t) => sum + t.px * t.weight, 0);
+      expect(sampleElevationGrid(grid, 45, -120, 1)).toBeCloseTo(expected, 6);
+    });
+
+    it('reads finer zooms from the coarsest loaded level', () => {
+      expect(sampleElevationGrid(grid, 45, -120, 14)).toBeCloseTo(sampleElevationGrid(grid, 45, -120, 1), 6);
+    });
+
+    it('returns null where no tile is loaded', () => {
+      expect(sampleElevationGrid(grid, -45, 120, 1)).toBeNull();
+    });
+  });
+
+  describe('subsetElevationGrid', () => {
+    // Two z1 tiles, each filled with its own value
+    const data = new Float32Array(2 * 256 * 256);
+    data.fill(7, 0, 256 * 256);
+    data.fill(9, 256 * 256);
+    const grid = { maxZoom: 1, index: { '1/0/0': 0, '1/1/0': 1 }, data, raster: null };
+
+    it('copies only the tiles the keys read, finer keys as their loaded ancestor', () => {
+      const subset = subsetElevationGrid(grid, ['3/5/1', '1/0/1']);
+      expect(Object.keys(subset.index)).toEqual(['1/1/0']);
+      expect(subset.data.length).toBe(256 * 256);
+      expect(subset.data.buffer).not.toBe(data.buffer);
+      expect(sampleElevationGrid(subset, 45, 60, 1)).toBe(9);
+      expect(sampleElevationGrid(subset, 45, -120, 1)).toBeNull();
+    });
+  });
+
+  describe('fetchElevationGrid', () => {
+    const raster = parseAsciiGrid('ncols 2\nnrows 2\nxllcorner 10\nyllcorner 45\ncellsize 0.01\n100 200\n300 400\n');
+
+    afterEach(() => setElevationProvider(terrariumProvider()));
+
+    it('carries a local DEM and loads no tiles without a fallback', async () => {
+      setElevationProvider(rasterProvider(raster));
+      const grid = await fetchElevationGrid([tileKey(45.01, 10.01, 12)]);
+      expect(grid.data.length).toBe(0);
+      expect(sampleElevationGrid(grid, 45.015, 10.005)).toBeCloseTo(100, 3);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Forecast conditions at the sunset hour, with the colour outcome each should predict.
+ * cloudPath samples run from the observer (0 km) toward the sun.
+ */
+
+// Cloud layers at 0, 25, 50, 100, 200 and 300 km toward the sun
+function path(near, far) {
+  return [0, 25, 50, 100, 200, 300].map(distance => ({
+    distance,
+    ...(distance < 100 ? near : far)
+  }));
+}
+
+const NONE = { low: 0, mid: 0, high: 0 };
+
+export const SUNSET_FORECASTS = [
+  {
+    name: 'clear, dry evening',
+    conditions: { cloudCover: 0, cloudPath: path(NONE, NONE), humidity: 40, aerosol: 0.05, precipProbability: 0, visibility: 40000 },
+    expected: { label: 'Fair', min: 35, max: 45 }
+  },
+  {
+    name: 'high cloud canvas over a clear horizon',
+    conditions: {
+      cloudCover: 50,
+      cloudPath: path({ low: 0, mid: 10, high: 50 }, { low: 0, mid: 0, high: 40 }),
+      humidity: 55,
+      aerosol: 0.15,
+      precipProbability: 5,
+      visibility: 30000
+    },
+    expected: { label: 'Amazing', min: 75, max: 100, top: 'canvas' }
+  },
+  {
+    name: 'canvas overhead but low cloud blocking the sun',
+    conditions: {
+      cloudCover: 70,
+      cloudPath: path({ low: 0, mid: 10, high: 50 }, { low: 100, mid: 20, high: 40 }),
+      humidity: 60,
+      aerosol: 0.05,
+      precipProbability: 10,
+      visibility: 30000
+    },
+    expected: { label: 'Poor', min: 20, max: 29, top: 'horizon' }
+  },
+  {
+    name: 'low overcast with rain',
+    conditions: {
+      cloudCover: 100,
+      cloudPath: path({ low: 100, mid: 80, high: 0 }, { low: 100, mid: 80, high: 0 }),
+      humidity: 95,
+      aerosol: 0.2,
+      precipProbability: 80,
+      visibility: 3000
+    },
+    expected: { label: 'Poor', min: 0, max: 5 }
+  },
+  {
+    name: 'wildfire smoke under a clear sky',
+    conditions: { cloudCover: 0, cloudPath: path(NONE, NONE), humidity: 30, aerosol: 1.2, precipProbability: 0, visibility: 8000 },
+    expected: { label: 'Poor', min: 15, max: 29, top: 'aerosol' }
+  },
+  {
+    name: 'scattered low cloud only',
+    conditions: {
+      cloudCover: 30,
+      cloudPath: path({ low: 30, mid: 0, high: 0 }, { low: 30, mid: 0, high: 0 }),
+      humidity: 65,
+      aerosol: null,
+      precipProbability: 10,
+      visibility: 25000
+    },
+    expected: { label: 'Fair', min: 30, max: 39 }
+  },
+  {
+    name: 'daily averages only',
+    conditions: { cloudCover: 45, cloudPath: [], humidity: null, aerosol: null, precipProbability: 20, visibility: null },
+    expected: { label: 'Amazing', min: 70, max: 70, top: 'canvas' }
+  }
+];
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { profileFromRays, splitSunPath, renderHorizonChart, getSunMarkers, getDayMoonPath, getMoonMarkers } from '../src/horizon.js';
+import { getMoonData } from '../src/lunar.js';
+
+describe('horizon', () => {
+  const point = { lat: 45, lng: -122, elevation: 100 };
+
+  describe('profileFromRays', () => {
+    it('gives one skyline angle per azimuth', () => {
+      const flat = [{ elevation: 100, distance: 1000 }];
+      const ridge = [{ elevation: 300, distance: 1000 }];
+      const profile = profileFromRays(point, [flat, ridge, flat, flat]);
+      expect(profile.map(p => p.azimuth)).toEqual([0, 90, 180, 270]);
+      expect(profile[1].angle).toBeGreaterThan(10);
+      expect(profile[1].distance).toBe(1000);
+      expect(profile[0].angle).toBeCloseTo(0, 1);
+    });
+  });
+
+  describe('splitSunPath', () => {
+    it('breaks the path where azimuth wraps past north', () => {
+      const path = [350, 355, 2, 8].map(azimuth => ({ azimuth, altitude: 20 }));
+      const segments = splitSunPath(path);
+      expect(segments.length).toBe(2);
+      expect(segments[0].points.map(p => p.azimuth)).toEqual([350, 355]);
+    });
+
+    it('separates golden-hour runs and keeps them joined', () => {
+      const path = [10, 7, 5, 2].map((altitude, i) => ({ azimuth: 280 + i, altitude }));
+      const segments = splitSunPath(path);
+      expect(segments.map(s => s.golden)).toEqual([false, true]);
+      expect(segments[1].points[0].altitude).toBe(7);
+    });
+  });
+
+  describe('renderHorizonChart', () => {
+    it('draws the terrain silhouette, sun path and markers', () => {
+      const profile = [0, 90, 180, 270].map(azimuth => ({ azimuth, angle: 1, distance: 1000 }));
+      const sunPath = [200, 240, 280].map((azimuth, i) => ({ azimuth, altitude: 20 - i * 10, time: new Date() }));
+      const markers = [{ label: 'Sunset', time: new Date(2024, 5, 21, 20, 30), azimuth: 300, altitude: -0.8 }];
+      const svg = renderHorizonChart(profile, sunPath, markers);
+      expect(svg).toContain('<svg');
+      expect(svg).toContain('horizon-terrain');
+      expect(svg).toContain('sun-path');
+      expect(svg).toContain('Sunset');
+    });
+
+    it('draws a moon path without golden-hour runs', () => {
+      const profile = [0, 90, 180, 270].map(azimuth => ({ azimuth, angle: 1, distance: 1000 }));
+      const moonPath = [100, 120, 140].map((azimuth, i) => ({ azimuth, altitude: i * 3, time: new Date() }));
+      const svg = renderHorizonChart(profile, moonPath, [], { body: 'moon' });
+      expect(svg).toContain('sun-path moon');
+      expect(svg).not.toContain('golden');
+    });
+  });
+
+  describe('getSunMarkers', () => {
+    it('returns sunrise, golden hours and sunset in order of the day', () => {
+      const markers = getSunMarkers(45.52, -122.68, new Date(2024, 5, 21, 12));
+      expect(markers.map(m => m.label)).toEqual(['Sunrise', 'Golden hour ends', 'Golden hour', 'Sunset']);
+      const times = markers.map(m => m.time.getTime());
+      expect([...times].sort((a, b) => a - b)).toEqual(times);
+    });
+  });
+
+  describe('moon chart data', () => {
+    const moonData = getMoonData(45.52, -122.68, new Date('2024-06-21T19:00:00Z'), 'moonrise');
+
+    it('follows the moon up from before the searched moonrise, in time order', () => {
+      const path = getDayMoonPath(45.52, -122.68, moonData);
+      expect(path[0].time.getTime()).toBe(moonData.targetTime.getTime() - 3600000);
+      expect(path[0].altitude).toBeLessThan(0);
+      expect(Math.max(...path.map(p => p.altitude))).toBeGreaterThan(10);
+      const times = path.map(p => p.time.getTime());
+      expect([...times].sort((a, b) => a - b)).toEqual(times);
+    });
+
+    it('marks moonrise and moonset in time order', () => {
+      const markers = getMoonMarkers(45.52, -122.68, moonData);
+      expect(markers.map(m => m.label)).toContain('Moonrise');
+      expect(markers.every(m => Math.abs(m.altitude) < 1.5)).toBe(true);
+      const times = markers.map(m => m.time.getTime());
+      expect([...times].sort((a, b) => a - b)).toEqual(times);
+    });
+  });
+});
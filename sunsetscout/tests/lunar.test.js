@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import SunCalc from 'suncalc';
+import { isMoonMode, getMoonEvents, getPhaseName, getMoonData, getMoonPath, getLocalMoonTime } from '../src/lunar.js';
+
+describe('lunar', () => {
+  const lat = 51.5074; // London, on UTC in winter
+  const lng = -0.1278;
+  const fullMoon = new Date('2024-01-25T12:00:00Z');
+  const newMoon = new Date('2024-02-09T12:00:00Z');
+
+  describe('isMoonMode', () => {
+    it('tells the moon modes from the sun modes', () => {
+      expect(isMoonMode('moonrise')).toBe(true);
+      expect(isMoonMode('moonset')).toBe(true);
+      expect(isMoonMode('sunset')).toBe(false);
+      expect(isMoonMode('sunrise')).toBe(false);
+    });
+  });
+
+  describe('getMoonEvents', () => {
+    it("matches suncalc's moonrise and moonset over the same day", () => {
+      for (let day = 1; day <= 28; day += 3) {
+        const date = new Date(Date.UTC(2024, 0, day, 12));
+        const { rise, set } = getMoonEvents(lat, lng, date);
+        const expected = SunCalc.getMoonTimes(date, lat, lng, true);
+
+        expect(rise === null).toBe(!expected.rise);
+        expect(set === null).toBe(!expected.set);
+        // suncalc fits parabolas to hourly samples, so it is only good to a minute or two
+        if (rise) expect(Math.abs(rise - expected.rise)).toBeLessThan(180000);
+        if (set) expect(Math.abs(set - expected.set)).toBeLessThan(180000);
+      }
+    });
+
+    it('finds days without a moonrise', () => {
+      const days = Array.from({ length: 30 }, (_, i) => getMoonEvents(lat, lng, new Date(Date.UTC(2024, 0, i + 1, 12))));
+      expect(days.filter(d => !d.rise).length).toBeGreaterThanOrEqual(1);
+      expect(days.filter(d => d.rise).length).toBeGreaterThan(25);
+    });
+  });
+
+  describe('getPhaseName', () => {
+    it('names the phase nearest to the value', () => {
+      expect(getPhaseName(0)).toBe('New moon');
+      expect(getPhaseName(0.98)).toBe('New moon');
+      expect(getPhaseName(0.26)).toBe('First quarter');
+      expect(getPhaseName(0.5)).toBe('Full moon');
+      expect(getPhaseName(0.9)).toBe('Waning crescent');
+    });
+  });
+
+  describe('getMoonData', () => {
+    it('returns moonrise data with phase and illumination', () => {
+      const data = getMoonData(lat, lng, fullMoon, 'moonrise');
+      expect(data.mode).toBe('moonrise');
+      expect(data.targetTime).toEqual(data.moonriseTime);
+      expect(data.phaseName).toBe('Full moon');
+      expect(data.illumination).toBeGreaterThan(0.95);
+      expect(data.isThin).toBe(false);
+      // A winter full moon rises in the north-east, opposite the low sun
+      expect(data.azimuth).toBeGreaterThan(20);
+      expect(data.azimuth).toBeLessThan(70);
+      // On the sun's convention, the upper limb is on the horizon at moonrise
+      expect(data.altitude).toBeCloseTo(-0.833, 2);
+    });
+
+    it('returns moonset data in the western half', () => {
+      const data = getMoonData(lat, lng, fullMoon, 'moonset');
+      expect(data.targetTime).toEqual(data.moonsetTime);
+      expect(data.azimuth).toBeGreaterThan(180);
+      expect(data.azimuth).toBeLessThan(360);
+    });
+
+    it('flags a moon too thin to matter', () => {
+      const data = getMoonData(lat, lng, newMoon, 'moonrise');
+      expect(data.isThin).toBe(true);
+      expect(data.illumination).toBeLessThan(0.05);
+    });
+
+    it('keeps the sun times for the horizon chart', () => {
+      const data = getMoonData(lat, lng, fullMoon, 'moonrise');
+      expect(data.sunriseTime).toBeInstanceOf(Date);
+      expect(data.sunsetTime.getTime()).toBeGreaterThan(data.sunriseTime.getTime());
+    });
+  });
+
+  describe('getMoonPath', () => {
+    it('runs toward moonrise and ends on it', () => {
+      const data = getMoonData(lat, lng, fullMoon, 'moonrise');
+      const path = getMoonPath(lat, lng, data);
+      expect(path).toHaveLength(7);
+      expect(path[0].time.getTime() - data.targetTime.getTime()).toBe(60 * 60000);
+      expect(path[path.length - 1].time).toEqual(data.targetTime);
+      // Backward in time, so the moon sinks toward the horizon along the path
+      for (let i = 1; i < path.length; i++) {
+        expect(path[i].altitude).toBeLessThan(path[i - 1].altitude);
+      }
+    });
+
+    it('runs forward in time toward moonset', () => {
+      const data = getMoonData(lat, lng, fullMoon, 'moonset');
+      const path = getMoonPath(lat, lng, data);
+      expect(path[0].time.getTime()).toBeLessThan(data.targetTime.getTime());
+      expect(path[path.length - 1].time).toEqual(data.targetTime);
+    });
+  });
+
+  describe('getLocalMoonTime', () => {
+    const rise = getMoonData(lat, lng, fullMoon, 'moonrise');
+    const set = getMoonData(lat, lng, fullMoon, 'moonset');
+
+    it('matches the astronomical time for a flat horizon', () => {
+      expect(Math.abs(getLocalMoonTime(lat, lng, rise, 0) - rise.targetTime)).toBeLessThan(60000);
+      expect(Math.abs(getLocalMoonTime(lat, lng, set, 0) - set.targetTime)).toBeLessThan(60000);
+    });
+
+    it('delays moonrise and advances moonset behind high terrain', () => {
+      expect(getLocalMoonTime(lat, lng, rise, 3).getTime()).toBeGreaterThan(rise.targetTime.getTime() + 10 * 60000);
+      expect(getLocalMoonTime(lat, lng, set, 3).getTime()).toBeLessThan(set.targetTime.getTime() - 10 * 60000);
+    });
+
+    it('returns null when the moon never clears the terrain', () => {
+      expect(getLocalMoonTime(lat, lng, rise, 80)).toBeNull();
+      expect(getLocalMoonTime(lat, lng, { ...rise, targetTime: null }, 0)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { plannerDates, scoreDay, bestDayIndex } from '../src/planner.js';
+
+describe('planner', () => {
+  describe('plannerDates', () => {
+    it('lists a week of dates from the start date', () => {
+      const dates = plannerDates(new Date('2024-06-28T12:00:00Z'), 7, 'UTC');
+      expect(dates).toEqual([
+        '2024-06-28', '2024-06-29', '2024-06-30',
+        '2024-07-01', '2024-07-02', '2024-07-03', '2024-07-04'
+      ]);
+    });
+
+    it("starts from the location's calendar date", () => {
+      // Late evening in UTC is already the next morning in Tokyo
+      const start = new Date('2024-12-31T20:00:00Z');
+      expect(plannerDates(start, 2, 'Asia/Tokyo')).toEqual(['2025-01-01', '2025-01-02']);
+      expect(plannerDates(start, 2, 'America/New_York')).toEqual(['2024-12-31', '2025-01-01']);
+    });
+  });
+
+  describe('scoreDay', () => {
+    const ranked = [{ lat: 45, lng: -122, score: 80 }, { lat: 45.01, lng: -122, score: 60 }];
+    const forecast = (probability) => ({ date: '2024-06-28', quality: { probability, icon: '🌇' } });
+
+    it('blends the best spot with the colour chance', () => {
+      const day = scoreDay(ranked, forecast(40));
+      expect(day.best).toBe(ranked[0]);
+      expect(day.spotScore).toBe(80);
+      expect(day.colourChance).toBe(40);
+      expect(day.score).toBe(60);
+    });
+
+    it('counts an even colour chance without a forecast', () => {
+      const day = scoreDay(ranked, null);
+      expect(day.colourChance).toBeNull();
+      expect(day.quality).toBeNull();
+      expect(day.score).toBe(65);
+    });
+
+    it('ranks days beyond the forecast on the same scale as forecast days', () => {
+      // The same spot without a forecast sits between a good and a poor forecast
+      const days = [scoreDay(ranked, forecast(70)), scoreDay(ranked, forecast(30)), scoreDay(ranked, null)];
+      expect(days.map(d => d.score)).toEqual([75, 55, 65]);
+      expect(bestDayIndex(days)).toBe(0);
+    });
+
+    it('scores a day without spots on its forecast share', () => {
+      const day = scoreDay([], forecast(90));
+      expect(day.best).toBeNull();
+      expect(day.score).toBe(45);
+    });
+  });
+
+  describe('bestDayIndex', () => {
+    it('picks the highest score, the earliest on ties', () => {
+      expect(bestDayIndex([{ score: 50 }, { score: 70 }, { score: 70 }, { score: 20 }])).toBe(1);
+    });
+
+    it('returns -1 for no days', () => {
+      expect(bestDayIndex([])).toBe(-1);
+    });
+  });
+});
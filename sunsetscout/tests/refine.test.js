@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { refinementGrid, refineSpots } from '../src/refine.js';
+import { haversine } from '../src/utils.js';
+
+describe('refine', () => {
+  describe('refinementGrid', () => {
+    it('covers the coarse cell around the spot', () => {
+      const spot = { lat: 45, lng: -122 };
+      const points = refinementGrid(spot, 350, 50);
+      expect(points.length).toBeGreaterThan(40);
+      const farthest = Math.max(...points.map(p => haversine(spot.lat, spot.lng, p.lat, p.lng)));
+      expect(farthest).toBeGreaterThan(150);
+      expect(farthest).toBeLessThanOrEqual(203);
+    });
+  });
+
+  describe('refineSpots', () => {
+    // A cone-shaped hill peaking at (45.001, -122); clear views everywhere
+    const peak = { lat: 45.001, lng: -122 };
+    const analyze = async (points) => points.map(p => ({
+      ...p,
+      elevation: 500 - haversine(peak.lat, peak.lng, p.lat, p.lng) / 2,
+      isClear: true,
+      obstructionAngle: -1
+    }));
+
+    it('moves a spot toward the higher ground nearby', async () => {
+      const coarse = { lat: 45, lng: -122, elevation: 445, isClear: true, obstructionAngle: -1 };
+      const [refined] = await refineSpots([coarse], analyze, { coarseSpacing: 350 });
+      expect(refined.refinedFrom).toEqual({ lat: 45, lng: -122 });
+      expect(refined.refines).toBeUndefined();
+      expect(haversine(peak.lat, peak.lng, refined.lat, refined.lng))
+        .toBeLessThan(haversine(peak.lat, peak.lng, coarse.lat, coarse.lng));
+    });
+
+    it('keeps a spot when nothing nearby scores higher', async () => {
+      const summit = { ...peak, elevation: 500, isClear: true, obstructionAngle: -1 };
+      const [refined] = await refineSpots([summit], analyze, { coarseSpacing: 350 });
+      expect(refined).toBe(summit);
+    });
+
+    it('refines several spots in one batch, tolerating dropped points', async () => {
+      const spots = [
+        { lat: 45, lng: -122, elevation: 445, isClear: true, obstructionAngle: -1 },
+        { lat: 45.002, lng: -122, elevation: 445, isClear: true, obstructionAngle: -1 }
+      ];
+      let calls = 0;
+      const sparse = async (points) => {
+        calls++;
+        return (await analyze(points)).filter((_, i) => i % 3 !== 0);
+      };
+      const refined = await refineSpots(spots, sparse, { coarseSpacing: 350 });
+      expect(calls).toBe(1);
+      expect(refined).toHaveLength(2);
+      expect(refined.every(r => r.elevation > 445)).toBe(true);
+    });
+
+    it('matches results back to their spots when analysis drops unknown properties', async () => {
+      const spots = [
+        { lat: 45, lng: -122, elevation: 445, isClear: true, obstructionAngle: -1 },
+        { lat: 45.002, lng: -122, elevation: 445, isClear: true, obstructionAngle: -1 }
+      ];
+      // Like the viewshed workers, which are only sent each candidate's position and height
+      const stripped = async (points) => (await analyze(points)).map(({ lat, lng, elevation, isClear, obstructionAngle }) =>
+        ({ lat, lng, elevation, isClear, obstructionAngle })
+      );
+      const refined = await refineSpots(spots, stripped, { coarseSpacing: 350 });
+      expect(refined).toHaveLength(2);
+      refined.forEach((r, i) => {
+        expect(r.refinedFrom).toEqual({ lat: spots[i].lat, lng: spots[i].lng });
+        expect(haversine(r.lat, r.lng, spots[i].lat, spots[i].lng)).toBeLessThan(210);
+      });
+    });
+  });
+});
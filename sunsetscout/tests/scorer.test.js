@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { scoreCandidate, rankCandidates, getVerdict, getScoreColor, getMarkerRadius } from '../src/scorer.js';
+import { scoreCandidate, rankCandidates, suppressNeighbours, elevationRange, findWeightPreset, WEIGHT_PRESETS, DEFAULT_WEIGHTS, isWaterHorizon, getHorizonSummary, getGroundSummary, getVerdict, getSweepSummary, getLocalTimeSummary, getScoreColor, getMarkerRadius } from '../src/scorer.js';
 
 describe('scorer', () => {
   describe('scoreCandidate', () => {
@@ -57,6 +57,139 @@ describe('scorer', () => {
       );
       expect(near).toBeGreaterThan(far);
     });
+
+    it('ranks on minutes of visible sun when rankBy is duration', () => {
+      const base = { isClear: false, obstructionAngle: 1, elevation: 300, lat: 45, lng: -122, sweepMinutes: 50 };
+      const long = scoreCandidate({ ...base, visibleMinutes: 45 }, { rankBy: 'duration' });
+      const short = scoreCandidate({ ...base, visibleMinutes: 5 }, { rankBy: 'duration' });
+      expect(long).toBeGreaterThan(short);
+      expect(scoreCandidate({ ...base, visibleMinutes: 45 })).toBe(scoreCandidate({ ...base, visibleMinutes: 5 }));
+    });
+
+    it('ranks on the open share of the glow when rankBy is glow', () => {
+      // Both blocked right over the sun; one sees the rest of the glow
+      const base = { isClear: false, obstructionAngle: 2, elevation: 300, lat: 45, lng: -122 };
+      const wide = scoreCandidate({ ...base, glowOpen: 0.9, glowObstruction: -1 }, { rankBy: 'glow' });
+      const narrow = scoreCandidate({ ...base, glowOpen: 0.2, glowObstruction: 3 }, { rankBy: 'glow' });
+      expect(wide).toBeGreaterThan(narrow);
+      expect(scoreCandidate({ ...base, glowOpen: 0.9, glowObstruction: -1 }))
+        .toBe(scoreCandidate({ ...base, glowOpen: 0.2, glowObstruction: 3 }));
+    });
+  });
+
+  describe('weights', () => {
+    const near = { isClear: true, obstructionAngle: -0.2, elevation: 100, lat: 45.0, lng: -122.0 };
+    const summit = { isClear: true, obstructionAngle: -3, elevation: 900, lat: 45.08, lng: -122.0 };
+    const center = { centerLat: 45.0, centerLng: -122.0, maxRadius: 10000 };
+
+    it('scores the same with the default weights given explicitly', () => {
+      expect(scoreCandidate(summit, { ...center, weights: DEFAULT_WEIGHTS })).toBe(scoreCandidate(summit, center));
+    });
+
+    it('rescales weights so a perfect spot still scores 100', () => {
+      const perfect = { isClear: true, obstructionAngle: -5, elevation: 1000, lat: 45, lng: -122 };
+      const weights = { obstruction: 10, elevation: 10, distance: 10, clearance: 10 };
+      expect(scoreCandidate(perfect, { ...center, weights })).toBe(100);
+    });
+
+    it('lets presets change which spot wins', () => {
+      const quick = { ...center, weights: WEIGHT_PRESETS['quick-drive'].weights };
+      const hiker = { ...center, weights: WEIGHT_PRESETS.hiker.weights };
+      expect(scoreCandidate(near, quick)).toBeGreaterThan(scoreCandidate(summit, quick));
+      expect(scoreCandidate(summit, hiker)).toBeGreaterThan(scoreCandidate(near, hiker));
+    });
+
+    it('names the preset matching a set of weights', () => {
+      expect(findWeightPreset({ ...DEFAULT_WEIGHTS })).toBe('balanced');
+      expect(findWeightPreset({ ...WEIGHT_PRESETS.photographer.weights })).toBe('photographer');
+      expect(findWeightPreset({ ...DEFAULT_WEIGHTS, distance: 20 })).toBe('custom');
+    });
+  });
+
+  describe('suppressNeighbours', () => {
+    // Ranked spots: two adjacent cells on one ridge (~350 m apart) and one ~5 km away
+    const ranked = [
+      { lat: 45.0, lng: -122.0, score: 90 },
+      { lat: 45.003, lng: -122.0, score: 85 },
+      { lat: 45.045, lng: -122.0, score: 80 }
+    ];
+
+    it('groups candidates within the separation under the better one', () => {
+      const winners = suppressNeighbours(ranked, 1000);
+      expect(winners.map(w => w.score)).toEqual([90, 80]);
+      expect(winners[0].neighbours.map(n => n.score)).toEqual([85]);
+      expect(winners[1].neighbours).toEqual([]);
+    });
+
+    it('keeps every candidate with no separation', () => {
+      expect(suppressNeighbours(ranked, 0)).toHaveLength(3);
+    });
+
+    it('finds neighbours across bucket boundaries', () => {
+      // 900 m apart east-west, straddling a 1 km bucket edge
+      const winners = suppressNeighbours([
+        { lat: 45.0, lng: -122.0057, score: 70 },
+        { lat: 45.0, lng: -121.9943, score: 60 }
+      ], 1000);
+      expect(winners).toHaveLength(1);
+    });
+  });
+
+  describe('elevationRange', () => {
+    it('finds the lowest and highest candidate', () => {
+      expect(elevationRange([{ elevation: 20 }, { elevation: 340 }, { elevation: 90 }])).toEqual({ min: 20, max: 340 });
+      expect(elevationRange([])).toBeNull();
+    });
+
+    it('rates elevation against the relief of the area', () => {
+      const low = { isClear: true, obstructionAngle: -1, elevation: 40, lat: 45, lng: -122 };
+      const high = { ...low, elevation: 240 };
+      const range = { min: 40, max: 240 };
+      // Full elevation points for the area's highest spot, none for its lowest
+      expect(scoreCandidate(high, { elevationRange: range }) - scoreCandidate(low, { elevationRange: range })).toBe(30);
+      // Too little relief to compare falls back to the fixed scale
+      expect(scoreCandidate(high, { elevationRange: { min: 230, max: 240 } })).toBe(scoreCandidate(high));
+    });
+  });
+
+  describe('water horizons', () => {
+    const base = { isClear: true, obstructionAngle: -0.5, elevation: 100, lat: 45, lng: -122 };
+
+    it('adds the water bonus for sea and lake horizons only', () => {
+      const plain = scoreCandidate({ ...base, horizonType: 'plain' }, { waterBonus: 10 });
+      expect(scoreCandidate({ ...base, horizonType: 'sea' }, { waterBonus: 10 })).toBe(plain + 10);
+      expect(scoreCandidate({ ...base, horizonType: 'lake' }, { waterBonus: 10 })).toBe(plain + 10);
+      expect(scoreCandidate({ ...base, horizonType: 'sea' })).toBe(plain);
+    });
+
+    it('recognizes water horizons', () => {
+      expect(isWaterHorizon({ horizonType: 'sea' })).toBe(true);
+      expect(isWaterHorizon({ horizonType: 'terrain' })).toBe(false);
+      expect(isWaterHorizon({})).toBe(false);
+    });
+
+    it('summarizes the horizon type and distance', () => {
+      expect(getHorizonSummary({ horizonType: 'sea', horizonDistance: 42000 })).toBe('Sea horizon 42.0km away');
+      expect(getHorizonSummary({})).toBe('');
+    });
+  });
+
+  describe('slope', () => {
+    const base = { isClear: true, obstructionAngle: -0.5, elevation: 300, lat: 45, lng: -122 };
+
+    it('penalizes steep ground only when a penalty is set', () => {
+      const level = scoreCandidate({ ...base, slope: 3 }, { slopePenalty: 20 });
+      expect(scoreCandidate({ ...base, slope: 3 })).toBe(level);
+      expect(scoreCandidate({ ...base, slope: 40 }, { slopePenalty: 20 })).toBe(level - 20);
+      expect(scoreCandidate({ ...base, slope: 19 }, { slopePenalty: 20 })).toBe(level - 10);
+      expect(scoreCandidate({ ...base, slope: 40 })).toBe(level);
+    });
+
+    it('describes the ground', () => {
+      expect(getGroundSummary({ slope: 2.4, aspect: 0, roughness: 1 })).toBe('Level ground (2° slope)');
+      expect(getGroundSummary({ slope: 24.6, aspect: 225, roughness: 9 })).toBe('Ground slopes 25° facing SW · rough terrain');
+      expect(getGroundSummary({})).toBe('');
+    });
   });
 
   describe('rankCandidates', () => {
@@ -89,6 +222,11 @@ describe('scorer', () => {
       expect(verdict).toContain('512m');
     });
 
+    it('rates the twilight glow in view for the twilight modes', () => {
+      expect(getVerdict({ isClear: false, glowOpen: 0.75, elevation: 300 }))
+        .toBe('75% of the twilight glow in view from 300m elevation');
+    });
+
     it('returns blocked message for obstructed viewpoints', () => {
       const verdict = getVerdict({
         isClear: false,
@@ -111,6 +249,59 @@ describe('scorer', () => {
     });
   });
 
+  describe('getSweepSummary', () => {
+    it('is empty for candidates without a sweep', () => {
+      expect(getSweepSummary({ isClear: true })).toBe('');
+    });
+
+    it('reports visible minutes out of the sweep', () => {
+      const summary = getSweepSummary({ visibleMinutes: 40, sweepMinutes: 50, sunHiddenAt: null });
+      expect(summary).toBe('Sun visible 40 of 50 min');
+    });
+
+    it('tells when a rising sun clears the terrain', () => {
+      const sunClearsAt = new Date(2024, 5, 21, 5, 40);
+      const summary = getSweepSummary({ mode: 'sunrise', visibleMinutes: 30, sweepMinutes: 50, sunHiddenAt: null, sunClearsAt });
+      expect(summary).toContain('clears terrain at');
+      expect(summary).not.toContain('behind terrain');
+    });
+
+    it('tells when a setting sun goes behind the terrain', () => {
+      const sunHiddenAt = new Date(2024, 5, 21, 20, 40);
+      const summary = getSweepSummary({ mode: 'sunset', visibleMinutes: 30, sweepMinutes: 50, sunHiddenAt, sunClearsAt: null });
+      expect(summary).toContain('behind terrain at');
+    });
+  });
+
+  describe('getLocalTimeSummary', () => {
+    it('flags spots where the sun never clears the terrain', () => {
+      const summary = getLocalTimeSummary({ mode: 'sunset', targetTime: new Date(2024, 5, 21, 20, 0), localEventTime: null });
+      expect(summary).toContain('never clears');
+    });
+
+    it('shows the local time next to the astronomical one', () => {
+      const summary = getLocalTimeSummary({
+        mode: 'sunrise',
+        targetTime: new Date(2024, 5, 21, 5, 30),
+        localEventTime: new Date(2024, 5, 21, 6, 10)
+      });
+      expect(summary).toMatch(/^Local sunrise .* · astronomical /);
+    });
+
+    it('is empty in the twilight modes', () => {
+      const targetTime = new Date(2024, 5, 21, 21, 30);
+      expect(getLocalTimeSummary({ mode: 'blue-hour-dusk', targetTime, localEventTime: null })).toBe('');
+    });
+
+    it('names the moon in the moon modes', () => {
+      const targetTime = new Date(2024, 5, 21, 22, 0);
+      expect(getLocalTimeSummary({ mode: 'moonrise', targetTime, localEventTime: null }))
+        .toMatch(/^Moon never clears the terrain \(astronomical moonrise /);
+      expect(getLocalTimeSummary({ mode: 'moonset', targetTime, localEventTime: targetTime }))
+        .toMatch(/^Local moonset /);
+    });
+  });
+
   describe('getScoreColor', () => {
     it('returns green for high scores', () => {
       expect(getScoreColor(80)).toBe('#22c55e');
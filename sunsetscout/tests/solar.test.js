@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { getSunData, getSunAltitude, getSunAzimuth } from '../src/solar.js';
+import { getSunData, getSunAltitude, getSunAzimuth, getSunPath, getGoldenHourPath, getLocalEventTime, isTwilightMode, getGlowArc } from '../src/solar.js';
 
 describe('solar', () => {
   // Use a known location and date for predictable results
@@ -49,6 +49,72 @@ describe('solar', () => {
     });
   });
 
+  describe('twilight modes', () => {
+    const equinox = new Date(2024, 2, 20, 12);
+
+    it('tells the twilight modes from the others', () => {
+      expect(isTwilightMode('blue-hour-dusk')).toBe(true);
+      expect(isTwilightMode('nautical-dawn')).toBe(true);
+      expect(isTwilightMode('sunset')).toBe(false);
+      expect(isTwilightMode('moonrise')).toBe(false);
+    });
+
+    it('aims civil dusk at the middle of civil twilight, with the sun below the horizon', () => {
+      const data = getSunData(lat, lng, equinox, 'civil-dusk');
+      expect(data.twilightWindow).toEqual({ start: data.sunsetTime, end: data.dusk });
+      expect(data.targetTime.getTime()).toBe((data.sunsetTime.getTime() + data.dusk.getTime()) / 2);
+      expect(data.altitude).toBeLessThan(-0.833);
+      expect(data.altitude).toBeGreaterThan(-6);
+    });
+
+    it('centres the evening blue hour on the end of civil twilight', () => {
+      const data = getSunData(lat, lng, equinox, 'blue-hour-dusk');
+      expect(data.twilightWindow.start.getTime()).toBeLessThan(data.dusk.getTime());
+      expect(data.twilightWindow.end.getTime()).toBeGreaterThan(data.dusk.getTime());
+      expect(data.altitude).toBeLessThan(-4);
+      expect(data.altitude).toBeGreaterThan(-8);
+      // The glow sits over the sun, still in the west
+      expect(data.azimuth).toBeGreaterThan(260);
+      expect(data.azimuth).toBeLessThan(290);
+    });
+
+    it('aims the dawn modes before sunrise, in the east', () => {
+      const data = getSunData(lat, lng, equinox, 'nautical-dawn');
+      expect(data.targetTime.getTime()).toBeLessThan(data.dawn.getTime());
+      expect(data.targetTime.getTime()).toBeGreaterThan(data.nauticalDawn.getTime());
+      expect(data.azimuth).toBeLessThan(100);
+    });
+
+    it("lists the evening's twilight windows in order", () => {
+      const data = getSunData(lat, lng, equinox, 'blue-hour-dusk');
+      expect(data.twilightWindows.map(w => w.label)).toEqual(['Civil twilight', 'Blue hour', 'Nautical twilight']);
+      expect(data.twilightWindows[0].start).toEqual(data.sunsetTime);
+    });
+
+    it("has no target on nights the sun doesn't sink that far", () => {
+      // At 60°N in midsummer the sun stays above -12°
+      const data = getSunData(60, 10, new Date(2024, 5, 21, 12), 'nautical-dusk');
+      expect(data.targetTime).toBeNull();
+      expect(data.azimuth).toBeNull();
+      expect(data.twilightWindows.map(w => w.label)).not.toContain('Nautical twilight');
+    });
+  });
+
+  describe('getGlowArc', () => {
+    it('spreads bearings either side of the sun, ending on it', () => {
+      const arc = getGlowArc(280);
+      expect(arc).toHaveLength(9);
+      expect(arc[arc.length - 1]).toBe(280);
+      expect(Math.min(...arc)).toBe(250);
+      expect(Math.max(...arc)).toBe(310);
+    });
+
+    it('wraps past north', () => {
+      const arc = getGlowArc(350, 20, 10);
+      expect(arc).toEqual([10, 330, 0, 340, 350]);
+    });
+  });
+
   describe('getSunAltitude', () => {
     it('sun altitude at solar noon is positive', () => {
       const noon = new Date(2024, 5, 21, 20, 0, 0); // ~12 PM UTC for Portland
@@ -70,4 +136,80 @@ describe('solar', () => {
       expect(az).toBeLessThan(360);
     });
   });
+
+  describe('getSunPath', () => {
+    it('samples at the step and always ends on the end time', () => {
+      const start = new Date(2024, 5, 21, 18, 0, 0);
+      const end = new Date(2024, 5, 21, 18, 25, 0);
+      const path = getSunPath(lat, lng, start, end, 10);
+      expect(path.map(p => p.time.getTime() - start.getTime())).toEqual([0, 600000, 1200000, 1500000]);
+      expect(path[3].altitude).toBeCloseTo(getSunAltitude(lat, lng, end), 6);
+    });
+  });
+
+  describe('getGoldenHourPath', () => {
+    it('runs toward sunset with the sun descending', () => {
+      const sunData = getSunData(lat, lng, date, 'sunset');
+      const path = getGoldenHourPath(lat, lng, sunData);
+      expect(path[path.length - 1].time).toEqual(sunData.targetTime);
+      expect(path[0].altitude).toBeGreaterThan(path[path.length - 1].altitude);
+    });
+
+    it('runs backward toward sunrise', () => {
+      const sunData = getSunData(lat, lng, date, 'sunrise');
+      const path = getGoldenHourPath(lat, lng, sunData);
+      expect(path[path.length - 1].time).toEqual(sunData.targetTime);
+      expect(path[0].time.getTime()).toBeGreaterThan(path[1].time.getTime());
+    });
+  });
+
+  describe('getLocalEventTime', () => {
+    it('matches astronomical sunset for a flat horizon', () => {
+      const data = getSunData(lat, lng, date, 'sunset');
+      const local = getLocalEventTime(lat, lng, date, 'sunset', 0);
+      expect(Math.abs(local.getTime() - data.sunsetTime.getTime())).toBeLessThan(60000);
+    });
+
+    it('sets earlier behind a ridge and later over a depressed horizon', () => {
+      const data = getSunData(lat, lng, date, 'sunset');
+      expect(getLocalEventTime(lat, lng, date, 'sunset', 5).getTime()).toBeLessThan(data.sunsetTime.getTime());
+      expect(getLocalEventTime(lat, lng, date, 'sunset', -1).getTime()).toBeGreaterThan(data.sunsetTime.getTime());
+    });
+
+    it('rises later behind a ridge', () => {
+      const data = getSunData(lat, lng, date, 'sunrise');
+      expect(getLocalEventTime(lat, lng, date, 'sunrise', 5).getTime()).toBeGreaterThan(data.sunriseTime.getTime());
+    });
+
+    it('returns null when the sun never clears the terrain', () => {
+      expect(getLocalEventTime(lat, lng, date, 'sunset', 80)).toBeNull();
+    });
+
+    describe('along a horizon track', () => {
+      const sunData = getSunData(lat, lng, date, 'sunset');
+      const track = angles => getGoldenHourPath(lat, lng, sunData).map((step, i) => ({ ...step, angle: angles(i) }));
+
+      it('reads the terrain where the sun is, not on the event bearing', () => {
+        // A 3° ridge everywhere but low on the event bearing itself
+        const steps = getGoldenHourPath(lat, lng, sunData).length;
+        const local = getLocalEventTime(lat, lng, date, 'sunset', track(i => (i === steps - 1 ? 0 : 3)));
+        const behindRidge = getLocalEventTime(lat, lng, date, 'sunset', 3);
+        expect(Math.abs(local.getTime() - behindRidge.getTime())).toBeLessThan(60000);
+        expect(local.getTime()).toBeLessThan(sunData.sunsetTime.getTime() - 10 * 60000);
+      });
+
+      it('interpolates the terrain between the rays either side of the crossing', () => {
+        const rising = track(i => i * 0.8);
+        const local = getLocalEventTime(lat, lng, date, 'sunset', rising).getTime();
+        const hidden = rising.findIndex(step => step.altitude + 0.833 <= step.angle);
+        expect(local).toBeGreaterThan(rising[hidden - 1].time.getTime());
+        expect(local).toBeLessThan(rising[hidden].time.getTime());
+      });
+
+      it('falls back to the event ray beyond a track the sun stays clear of', () => {
+        const local = getLocalEventTime(lat, lng, date, 'sunset', track(() => -1));
+        expect(local.getTime()).toBe(getLocalEventTime(lat, lng, date, 'sunset', -1).getTime());
+      });
+    });
+  });
 });
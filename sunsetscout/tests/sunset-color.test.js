@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { predictSunsetColor } from '../src/sunset-color.js';
+import { SUNSET_FORECASTS } from './fixtures/sunset-forecasts.js';
+
+describe('sunset-color', () => {
+  describe('predictSunsetColor', () => {
+    for (const { name, conditions, expected } of SUNSET_FORECASTS) {
+      it(`rates ${name}`, () => {
+        const quality = predictSunsetColor(conditions);
+        expect(quality.label).toBe(expected.label);
+        expect(quality.probability).toBeGreaterThanOrEqual(expected.min);
+        expect(quality.probability).toBeLessThanOrEqual(expected.max);
+        if (expected.top) expect(quality.factors[0].key).toBe(expected.top);
+      });
+    }
+
+    it('keeps the quality shape the weather card reads', () => {
+      const quality = predictSunsetColor(SUNSET_FORECASTS[1].conditions);
+      expect(quality).toEqual(expect.objectContaining({
+        label: expect.any(String),
+        class: expect.stringMatching(/^(amazing|great|fair|poor)$/),
+        icon: expect.any(String),
+        description: expect.any(String)
+      }));
+    });
+
+    it('explains the main factors, largest first', () => {
+      const { factors, description } = predictSunsetColor(SUNSET_FORECASTS[2].conditions);
+      const sizes = factors.map(f => Math.abs(f.points));
+      expect(sizes).toEqual([...sizes].sort((a, b) => b - a));
+      expect(description).toContain(factors[0].label);
+    });
+
+    it('does not rate scattered low cloud above a clear sky', () => {
+      const clear = predictSunsetColor(SUNSET_FORECASTS[0].conditions);
+      const scattered = predictSunsetColor(SUNSET_FORECASTS[5].conditions);
+      expect(scattered.probability).toBeLessThan(clear.probability);
+    });
+
+    it('copes with no forecast data', () => {
+      const quality = predictSunsetColor({});
+      expect(quality.probability).toBe(30);
+      expect(quality.factors).toEqual([]);
+    });
+  });
+});
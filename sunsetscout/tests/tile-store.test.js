@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { selectEvictions, getStoredTile, getTileStoreStats } from '../src/tile-store.js';
+
+describe('tile-store', () => {
+  describe('selectEvictions', () => {
+    const entries = [
+      { key: 'b', size: 40, lastUsed: 200 },
+      { key: 'a', size: 40, lastUsed: 100 },
+      { key: 'c', size: 40, lastUsed: 300 }
+    ];
+
+    it('evicts nothing when the store is within budget', () => {
+      expect(selectEvictions(entries, 120)).toEqual([]);
+    });
+
+    it('evicts least recently used tiles until under budget', () => {
+      expect(selectEvictions(entries, 80)).toEqual(['a']);
+      expect(selectEvictions(entries, 50)).toEqual(['a', 'b']);
+    });
+
+    it('does not reorder the input', () => {
+      selectEvictions(entries, 0);
+      expect(entries.map(e => e.key)).toEqual(['b', 'a', 'c']);
+    });
+  });
+
+  describe('without IndexedDB', () => {
+    it('behaves as an empty store', async () => {
+      expect(await getStoredTile('12/1/2')).toBeNull();
+      expect(await getTileStoreStats()).toEqual({ count: 0, bytes: 0 });
+    });
+  });
+});
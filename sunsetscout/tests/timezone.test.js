@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { estimateTimeZone, resolveTimeZone, isValidTimeZone, zonedParts, formatDateInZone, zonedTime } from '../src/timezone.js';
+import { formatTime } from '../src/utils.js';
+
+describe('timezone', () => {
+  describe('estimateTimeZone', () => {
+    it('names the fixed-offset zone for a longitude', () => {
+      expect(estimateTimeZone(-122.4)).toBe('Etc/GMT+8');
+      expect(estimateTimeZone(151.2)).toBe('Etc/GMT-10');
+      expect(estimateTimeZone(2.3)).toBe('Etc/GMT');
+      expect(isValidTimeZone(estimateTimeZone(179.9))).toBe(true);
+    });
+  });
+
+  describe('resolveTimeZone', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.useRealTimers();
+    });
+
+    it('remembers the estimate when the lookup fails', async () => {
+      vi.useFakeTimers();
+      const fetch = vi.fn(async () => ({ ok: false, status: 503 }));
+      vi.stubGlobal('fetch', fetch);
+
+      const first = resolveTimeZone(-33.87, 151.21);
+      await vi.runAllTimersAsync();
+      expect(await first).toBe('Etc/GMT-10');
+      expect(await resolveTimeZone(-33.87, 151.21)).toBe('Etc/GMT-10');
+      expect(fetch).toHaveBeenCalledTimes(2); // the one lookup and its retry
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('accepts IANA names only', () => {
+      expect(isValidTimeZone('America/Denver')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimeZone(undefined)).toBe(false);
+    });
+  });
+
+  describe('zonedParts', () => {
+    it('reads the wall clock in a zone', () => {
+      const instant = new Date(Date.UTC(2026, 6, 1, 2, 30)); // 02:30 UTC, 1 July
+      expect(zonedParts(instant, 'America/Denver')).toEqual({ year: 2026, month: 6, day: 30, hour: 20, minute: 30 });
+      expect(zonedParts(instant, 'Asia/Tokyo').hour).toBe(11);
+    });
+  });
+
+  describe('formatDateInZone', () => {
+    it('gives the calendar date on the zone clock', () => {
+      const instant = new Date(Date.UTC(2026, 0, 15, 23, 0));
+      expect(formatDateInZone(instant, 'Australia/Sydney')).toBe('2026-01-16');
+      expect(formatDateInZone(instant, 'America/Los_Angeles')).toBe('2026-01-15');
+    });
+  });
+
+  describe('zonedTime', () => {
+    it('finds the instant a zone clock reads an hour', () => {
+      expect(zonedTime('2026-07-01', 12, 'America/Denver').toISOString()).toBe('2026-07-01T18:00:00.000Z');
+      expect(zonedTime('2026-01-01', 12, 'America/Denver').toISOString()).toBe('2026-01-01T19:00:00.000Z');
+      expect(zonedTime('2026-07-01', 12, 'Asia/Kolkata').toISOString()).toBe('2026-07-01T06:30:00.000Z');
+    });
+
+    it('round-trips with formatDateInZone across the date line', () => {
+      for (const zone of ['Pacific/Auckland', 'Pacific/Honolulu', 'Europe/London']) {
+        expect(formatDateInZone(zonedTime('2026-03-29', 12, zone), zone)).toBe('2026-03-29');
+      }
+    });
+  });
+
+  describe('formatTime', () => {
+    it('formats in a given zone', () => {
+      const instant = new Date(Date.UTC(2026, 6, 1, 2, 30));
+      expect(formatTime(instant, 'America/Denver')).toBe('8:30 PM');
+      expect(formatTime(instant, 'Europe/Paris')).toBe('4:30 AM');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { abortable, isAbortError } from '../src/utils.js';
+
+describe('utils', () => {
+  describe('abortable', () => {
+    it('settles with the promise when not aborted', async () => {
+      const controller = new AbortController();
+      await expect(abortable(Promise.resolve(7), controller.signal)).resolves.toBe(7);
+    });
+
+    it('rejects with an AbortError as soon as the signal aborts', async () => {
+      const controller = new AbortController();
+      const pending = abortable(new Promise(() => {}), controller.signal);
+      controller.abort();
+      const err = await pending.catch(e => e);
+      expect(isAbortError(err)).toBe(true);
+    });
+
+    it('passes the promise through without a signal', async () => {
+      const promise = Promise.resolve(1);
+      expect(abortable(promise)).toBe(promise);
+    });
+  });
+
+  describe('isAbortError', () => {
+    it('recognizes only abort errors', () => {
+      expect(isAbortError(new DOMException('stop', 'AbortError'))).toBe(true);
+      expect(isAbortError(new Error('HTTP 500'))).toBe(false);
+      expect(isAbortError(null)).toBe(false);
+    });
+  });
+});
@@ -1,5 +1,9 @@
-import { describe, it, expect } from 'vitest';
-import { generateRayPoints, computeObstruction } from '../src/viewshed.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { tileKey, setElevationProvider } from '../src/elevation.js';
+import { terrariumProvider, rasterProvider, parseAsciiGrid } from '../src/elevation-providers.js';
+import { evaluateCandidate } from '../src/viewshed-core.js';
+import { fetchRayGrid } from '../src/elevation-client.js';
+import { generateRayPoints, planRayTiles, castRay, isSunVisible, computeObstruction, computeSweep, computeGlow, classifyHorizon, computeGroundSlope, analyzeViewshed } from '../src/viewshed.js';
 
 describe('viewshed', () => {
   describe('generateRayPoints', () => {
@@ -35,6 +39,21 @@ describe('viewshed', () => {
       }
     });
 
+    it('reaches past 100km with spacing and zoom coarsening with distance', () => {
+      const points = generateRayPoints(45.0, -122.0, 270);
+      const last = points[points.length - 1];
+      expect(last.distance).toBeGreaterThanOrEqual(100000);
+      expect(points[1].distance - points[0].distance).toBeLessThan(last.distance - points[points.length - 2].distance);
+      expect(points[0].zoom).toBeGreaterThan(last.zoom);
+    });
+
+    it('clips banded rays at the max distance without gaps at band edges', () => {
+      const bands = [{ until: 1000, spacing: 250, zoom: 12 }, { until: 5000, spacing: 1000, zoom: 10 }];
+      const points = generateRayPoints(45.0, -122.0, 270, 3000, bands);
+      expect(points.map(p => p.distance)).toEqual([250, 500, 750, 1000, 2000, 3000]);
+      expect(points.map(p => p.zoom)).toEqual([12, 12, 12, 12, 10, 10]);
+    });
+
     it('bearing north (0°) moves points northward (higher lat)', () => {
       const points = generateRayPoints(45.0, -122.0, 0, 5000, 1000);
       for (const pt of points) {
@@ -43,6 +62,53 @@ describe('viewshed', () => {
     });
   });
 
+  describe('planRayTiles', () => {
+    const origins = [{ lat: 45.0, lng: -122.0 }];
+
+    it('coarsens zoom levels until the tile count fits the budget', () => {
+      const unbounded = planRayTiles(origins, [0, 90, 180, 270], Infinity);
+      const bounded = planRayTiles(origins, [0, 90, 180, 270], 20);
+      expect(unbounded.tiles.length).toBeGreaterThan(20);
+      expect(bounded.tiles.length).toBeLessThanOrEqual(20);
+      const zoomSum = plan => plan.bands.reduce((sum, b) => sum + b.zoom, 0);
+      expect(zoomSum(bounded)).toBeLessThan(zoomSum(unbounded));
+    });
+
+    it('plans tiles at the band zooms it returns', () => {
+      const { bands, tiles } = planRayTiles(origins, [270], 20);
+      const zooms = new Set(bands.map(b => b.zoom));
+      for (const key of tiles) {
+        expect(zooms.has(parseInt(key, 10))).toBe(true);
+      }
+    });
+
+    it('covers the tiles of every ray sample', () => {
+      const { bands, tiles } = planRayTiles(origins, [35], Infinity);
+      const planned = new Set(tiles);
+      for (const pt of generateRayPoints(45.0, -122.0, 35, 120000, bands)) {
+        expect(planned.has(tileKey(pt.lat, pt.lng, pt.zoom))).toBe(true);
+      }
+    });
+  });
+
+  describe('castRay', () => {
+    it('samples a grid along the ray and skips points without data', () => {
+      // A local DEM 10 km wide centered on the origin, rising 10 m per column
+      const ncols = 100;
+      const data = new Float32Array(ncols * ncols);
+      for (let i = 0; i < data.length; i++) data[i] = (i % ncols) * 10;
+      const raster = { ncols, nrows: ncols, west: -122.0635, north: 45.045, dx: 0.00127, dy: 0.0009, nodata: null, data };
+      const grid = { maxZoom: 0, index: {}, data: new Float32Array(0), raster };
+
+      const samples = castRay(grid, 45.0, -122.0, 90);
+      expect(samples.length).toBeGreaterThan(0);
+      expect(samples[samples.length - 1].distance).toBeLessThan(6000);
+      for (let i = 1; i < samples.length; i++) {
+        expect(samples[i].elevation).toBeGreaterThan(samples[i - 1].elevation);
+      }
+    });
+  });
+
   describe('computeObstruction', () => {
     it('returns clear when all terrain is lower than candidate', () => {
       const candidate = { lat: 45, lng: -122, elevation: 500 };
@@ -106,5 +172,253 @@ describe('viewshed', () => {
       // Same elevation = ~0° angle, which is at the threshold
       expect(result.obstructionAngle).toBeCloseTo(0, 0);
     });
+
+    it('stronger refraction lifts distant terrain', () => {
+      const candidate = { lat: 45, lng: -122, elevation: 100 };
+      const raySamples = [{ elevation: 100, distance: 40000 }];
+      const geometric = computeObstruction(candidate, raySamples, { refraction: 0 });
+      const standard = computeObstruction(candidate, raySamples);
+      const inversion = computeObstruction(candidate, raySamples, { refraction: 0.5 });
+      expect(standard.obstructionAngle).toBeGreaterThan(geometric.obstructionAngle);
+      expect(inversion.obstructionAngle).toBeGreaterThan(standard.obstructionAngle);
+    });
+
+    it('raises the eye by the observer height', () => {
+      const candidate = { lat: 45, lng: -122, elevation: 100 };
+      const raySamples = [{ elevation: 130, distance: 1000 }];
+      const ground = computeObstruction(candidate, raySamples);
+      const tower = computeObstruction(candidate, raySamples, { observerHeight: 40 });
+      expect(tower.obstructionAngle).toBeLessThan(ground.obstructionAngle);
+      expect(tower.isClear).toBe(true);
+    });
+
+    it('prefers a per-candidate observer height over the option', () => {
+      const candidate = { lat: 45, lng: -122, elevation: 100, observerHeight: 40 };
+      const result = computeObstruction(candidate, [{ elevation: 130, distance: 1000 }], { observerHeight: 2 });
+      expect(result.observerHeight).toBe(40);
+      expect(result.isClear).toBe(true);
+    });
+
+    it('floors the horizon at the dip for an elevated eye over the sea', () => {
+      const candidate = { lat: 45, lng: -122, elevation: 0 };
+      const sea = [1000, 4000, 8000].map(distance => ({ elevation: 0, distance }));
+      const result = computeObstruction(candidate, sea, { observerHeight: 100, refraction: 0 });
+      // Geometric dip for 100m is ~0.32°, well above the ~-0.76° seen at the ray end
+      expect(result.horizonDip).toBeCloseTo(0.32, 2);
+      expect(result.obstructionAngle).toBeCloseTo(-result.horizonDip, 6);
+      expect(result.maxBlockerDistance).toBeGreaterThan(30000);
+    });
+
+    it('judges clearance against the sun altitude it is given', () => {
+      const candidate = { lat: 45, lng: -122, elevation: 100 };
+      const raySamples = [{ elevation: 135, distance: 1000 }]; // ~2° ridge
+      expect(computeObstruction(candidate, raySamples, { sunAltitude: 5 }).isClear).toBe(true);
+      expect(computeObstruction(candidate, raySamples, { sunAltitude: 1 }).isClear).toBe(false);
+    });
+  });
+
+  describe('isSunVisible', () => {
+    it('keeps the upper limb visible at astronomical sunset over a flat horizon', () => {
+      expect(isSunVisible(-0.8, 0)).toBe(true);
+      expect(isSunVisible(-0.9, 0)).toBe(false);
+    });
+  });
+
+  describe('computeSweep', () => {
+    const candidate = { lat: 45, lng: -122, elevation: 100 };
+    const t0 = new Date(2024, 5, 21, 20, 0, 0);
+    const sunPath = [0, 10, 20, 30].map((m, i) => ({
+      time: new Date(t0.getTime() + m * 60000),
+      azimuth: 300,
+      altitude: [4, 3, 1, 0][i]
+    }));
+    const flat = [{ elevation: 100, distance: 1000 }];
+    const ridge = [{ elevation: 135, distance: 1000 }]; // ~2° above the eye
+
+    it('counts minutes of visible sun and when it is first hidden', () => {
+      const result = computeSweep(candidate, [flat, flat, ridge, ridge], sunPath);
+      expect(result.sweepMinutes).toBe(30);
+      expect(result.visibleMinutes).toBe(15);
+      expect(result.sunHiddenAt).toEqual(sunPath[2].time);
+    });
+
+    it('tracks the terrain angle under each step of the sun path', () => {
+      const result = computeSweep(candidate, [flat, flat, ridge, ridge], sunPath);
+      expect(result.horizonTrack.map(step => step.time)).toEqual(sunPath.map(step => step.time));
+      expect(result.horizonTrack[0].angle).toBeCloseTo(0, 1);
+      expect(result.horizonTrack[2].angle).toBeGreaterThan(1.9);
+    });
+
+    it('reports the event-time obstruction from the last ray', () => {
+      const result = computeSweep(candidate, [flat, flat, flat, ridge], sunPath);
+      expect(result.isClear).toBe(false);
+      expect(result.maxBlockerElevation).toBe(135);
+    });
+
+    it('has no hidden time when the sun stays in view', () => {
+      const result = computeSweep(candidate, [flat, flat, flat, flat], sunPath);
+      expect(result.visibleMinutes).toBe(30);
+      expect(result.sunHiddenAt).toBeNull();
+    });
+
+    it('reports when a rising sun clears the terrain', () => {
+      // Sunrise: the path runs back from the end of golden hour to the event
+      const sunrisePath = sunPath.map((step, i) => ({ ...step, time: new Date(t0.getTime() - i * 10 * 60000) }));
+      const result = computeSweep(candidate, [flat, flat, ridge, ridge], sunrisePath);
+      expect(result.sunHiddenAt).toBeNull();
+      expect(result.sunClearsAt).toEqual(sunrisePath[1].time);
+      expect(result.visibleMinutes).toBe(15);
+    });
+  });
+
+  describe('computeGlow', () => {
+    const candidate = { lat: 45, lng: -122, elevation: 100 };
+    const flat = [{ elevation: 100, distance: 1000 }];
+    const ridge = [{ elevation: 135, distance: 1000 }]; // ~2° above the eye
+
+    it('rates the share of the glow arc with a low horizon', () => {
+      const result = computeGlow(candidate, [ridge, flat, flat, flat]);
+      expect(result.glowOpen).toBe(0.75);
+      expect(result.glowObstruction).toBeGreaterThan(0);
+      expect(computeGlow(candidate, [flat, flat]).glowOpen).toBe(1);
+    });
+
+    it('reports the obstruction over the sun from the last ray', () => {
+      const result = computeGlow(candidate, [flat, ridge]);
+      expect(result.isClear).toBe(false);
+      expect(result.maxBlockerElevation).toBe(135);
+      expect(result.glowOpen).toBe(0.5);
+    });
+  });
+
+  describe('classifyHorizon', () => {
+    // A ray stepping down from a 200m headland onto a surface of the given elevations
+    const ray = (surface) => [
+      { elevation: 150, distance: 500 },
+      { elevation: 60, distance: 1000 },
+      ...surface.map((elevation, i) => ({ elevation, distance: 2000 + i * 1000 }))
+    ];
+    const classify = (surface) => {
+      const samples = ray(surface);
+      return classifyHorizon(samples, computeObstruction({ elevation: 200 }, samples));
+    };
+
+    it('tags a horizon at sea level as sea', () => {
+      const result = classify(new Array(60).fill(0));
+      expect(result.horizonType).toBe('sea');
+      expect(result.horizonDistance).toBeGreaterThan(40000);
+    });
+
+    it('tags a flat surface above sea level as a lake', () => {
+      expect(classify(new Array(60).fill(30)).horizonType).toBe('lake');
+    });
+
+    it('tags gently rolling ground below eye level as an open plain', () => {
+      const surface = Array.from({ length: 60 }, (_, i) => 40 + 10 * Math.sin(i));
+      expect(classify(surface).horizonType).toBe('plain');
+    });
+
+    it('tags a ridge as terrain, at the ridge distance', () => {
+      const surface = Array.from({ length: 10 }, (_, i) => 50 + i * 60);
+      const result = classify(surface);
+      expect(result.horizonType).toBe('terrain');
+      expect(result.horizonDistance).toBe(11000);
+    });
+  });
+
+  describe('computeGroundSlope', () => {
+    // A local DEM of ~100 m cells whose height changes by `rise` meters per cell eastward
+    const slopeGrid = (rise) => {
+      const ncols = 100;
+      const data = new Float32Array(ncols * ncols);
+      for (let i = 0; i < data.length; i++) data[i] = 1000 + (i % ncols) * rise;
+      const raster = { ncols, nrows: ncols, west: -122.0635, north: 45.045, dx: 0.00127, dy: 0.0009, nodata: null, data };
+      return { maxZoom: 0, index: {}, data: new Float32Array(0), raster };
+    };
+
+    it('measures the slope and the direction the ground faces', () => {
+      const ground = computeGroundSlope(slopeGrid(50), 45.0, -122.0, [14]);
+      expect(ground.slope).toBeCloseTo(26.6, 0);
+      // Rising to the east, so the ground faces west
+      expect(ground.aspect).toBeCloseTo(270, 0);
+      expect(ground.roughness).toBeCloseTo(11.25, 0);
+    });
+
+    it('reads level ground as flat', () => {
+      const ground = computeGroundSlope(slopeGrid(0), 45.0, -122.0, [14]);
+      expect(ground.slope).toBe(0);
+      expect(ground.roughness).toBe(0);
+    });
+
+    it('returns null without elevation data around the point', () => {
+      expect(computeGroundSlope(slopeGrid(50), 10.0, 10.0, [14])).toBeNull();
+    });
+  });
+
+  describe('analyzeViewshed', () => {
+    /** In-process stand-in for the viewshed worker, counting the batches it runs. */
+    const workers = [];
+    class FakeWorker {
+      constructor() {
+        this.batches = 0;
+        workers.push(this);
+      }
+      postMessage(msg) {
+        setTimeout(() => {
+          if (msg.type === 'context') this.context = msg.context;
+          if (msg.type !== 'task') return;
+          this.batches++;
+          const { grid, bands, bearings, options } = this.context;
+          this.onmessage({ data: { type: 'result', data: msg.task.map(c => evaluateCandidate(c, grid, bands, bearings, options)) } });
+        }, 0);
+      }
+      terminate() {}
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      setElevationProvider(terrariumProvider());
+    });
+
+    it('stops the main-thread fallback between batches once cancelled', async () => {
+      setElevationProvider(rasterProvider(parseAsciiGrid('ncols 2\nnrows 2\nxllcorner 10\nyllcorner 45\ncellsize 0.01\n100 200\n300 400\n')));
+      const candidates = [];
+      for (let i = 0; i < 600; i++) candidates.push({ lat: 45.001 + (i % 30) * 0.0006, lng: 10.001, elevation: 200 });
+      const controller = new AbortController();
+
+      // No Worker here, so the rays are cast on the main thread
+      const run = analyzeViewshed(candidates, 270, -0.8, (done, total, phase) => {
+        if (phase === 'analysis' && done > 0) controller.abort();
+      }, { signal: controller.signal });
+      await expect(run).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }));
+    });
+
+    it('spreads the batches over several workers when the grid is not shared', async () => {
+      vi.stubGlobal('Worker', FakeWorker);
+      setElevationProvider(rasterProvider(parseAsciiGrid('ncols 2\nnrows 2\nxllcorner 10\nyllcorner 45\ncellsize 0.01\n100 200\n300 400\n')));
+      const candidates = [];
+      for (let i = 0; i < 600; i++) {
+        candidates.push({ id: i, lat: 45.001 + (i % 30) * 0.0006, lng: 10.001 + Math.floor(i / 30) * 0.0009, elevation: 200 });
+      }
+
+      const results = await analyzeViewshed(candidates, 270, -0.8);
+      expect(workers.filter(w => w.batches > 0).length).toBeGreaterThan(1);
+      expect(results.map(r => r.id)).toEqual(candidates.map(c => c.id));
+      expect(results.every(r => typeof r.isClear === 'boolean')).toBe(true);
+    });
+
+    it('reuses a preloaded ray grid for several bearings', async () => {
+      setElevationProvider(rasterProvider(parseAsciiGrid('ncols 2\nnrows 2\nxllcorner 10\nyllcorner 45\ncellsize 0.01\n100 200\n300 400\n')));
+      const candidates = [{ lat: 45.005, lng: 10.005, elevation: 200 }, { lat: 45.006, lng: 10.004, elevation: 250 }];
+      const rayGrid = await fetchRayGrid(candidates, [265, 275]);
+      vi.stubGlobal('Worker', FakeWorker);
+
+      for (const bearing of [265, 275]) {
+        const phases = new Set();
+        const results = await analyzeViewshed(candidates, bearing, -0.8, (done, total, phase) => phases.add(phase), { rayGrid });
+        expect([...phases]).toEqual(['analysis']);
+        expect(results).toHaveLength(2);
+      }
+    });
   });
 });
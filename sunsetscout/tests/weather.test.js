@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { cloudSamplePoints, parseForecast, renderCloudSection } from '../src/weather.js';
+import { haversine } from '../src/utils.js';
+
+// A two-day Open-Meteo hourly forecast with one value per field at 19:00 and 20:00
+function forecast({ low = 0, mid = 0, high = 0, cover = 20 } = {}) {
+  const time = ['2026-06-01T19:00', '2026-06-01T20:00', '2026-06-02T19:00', '2026-06-02T20:00'];
+  const fill = v => time.map(() => v);
+  return {
+    hourly: {
+      time,
+      cloud_cover: fill(cover),
+      cloud_cover_low: fill(low),
+      cloud_cover_mid: fill(mid),
+      cloud_cover_high: fill(high),
+      relative_humidity_2m: fill(50),
+      precipitation_probability: fill(5),
+      visibility: fill(30000),
+      wind_speed_10m: fill(10)
+    },
+    daily: {
+      time: ['2026-06-01', '2026-06-02'],
+      cloud_cover_mean: [30, 40],
+      precipitation_probability_max: [10, 20]
+    }
+  };
+}
+
+describe('weather', () => {
+  describe('cloudSamplePoints', () => {
+    it('places samples along the azimuth at the given distances', () => {
+      const points = cloudSamplePoints(45, -122, 270, [0, 50, 100]);
+      expect(points.map(p => p.distance)).toEqual([0, 50, 100]);
+      expect(points[0]).toEqual({ lat: 45, lng: -122, distance: 0 });
+      expect(points[2].lng).toBeLessThan(points[1].lng);
+      expect(haversine(45, -122, points[2].lat, points[2].lng)).toBeCloseTo(100000, -2);
+    });
+  });
+
+  describe('parseForecast', () => {
+    const sunset = new Date(2026, 5, 1, 20, 12);
+
+    it('reads the sunset hour at the center', () => {
+      const [day] = parseForecast(forecast({ cover: 55 }), cloudSamplePoints(45, -122, 0, [0]), sunset);
+      expect(day.date).toBe('2026-06-01');
+      expect(day.cloudCover).toBe(55);
+      expect(day.isHourly).toBe(true);
+      expect(day.quality).toHaveProperty('label');
+    });
+
+    it('reads the sunset hour on the location clock', () => {
+      // 20:00 in Denver, whatever the browser's zone
+      const denverSunset = new Date(Date.UTC(2026, 5, 2, 2, 10));
+      const data = { ...forecast(), timezone: 'America/Denver' };
+      data.hourly.cloud_cover = [10, 60, 10, 60];
+      const [day] = parseForecast(data, cloudSamplePoints(45, -122, 0, [0]), denverSunset);
+      expect(day.cloudCover).toBe(60);
+    });
+
+    it('reads each location of the path on its own clock', () => {
+      // 20:10 in Denver is 19:10 in Los Angeles
+      const sunsetInDenver = new Date(Date.UTC(2026, 5, 2, 2, 10));
+      const denver = { ...forecast(), timezone: 'America/Denver' };
+      denver.hourly.cloud_cover_high = [0, 40, 0, 40];
+      const losAngeles = { ...forecast(), timezone: 'America/Los_Angeles', utc_offset_seconds: -25200 };
+      losAngeles.hourly.cloud_cover_low = [90, 0, 90, 0];
+
+      const path = cloudSamplePoints(39.7, -105, 250, [0, 300]);
+      const [day] = parseForecast([denver, losAngeles], path, sunsetInDenver);
+      expect(day.cloudPath.map(p => [p.low, p.high])).toEqual([[0, 40], [90, 0]]);
+    });
+
+    it('follows the sunset hour across a daylight saving change', () => {
+      // 17:55 MST on 7 March; a day later the same sun sets at 18:55 MDT
+      const time = ['2026-03-07T17:00', '2026-03-07T18:00', '2026-03-08T17:00', '2026-03-08T18:00'];
+      const data = {
+        timezone: 'America/Denver',
+        hourly: { ...forecast().hourly, time, cloud_cover: [10, 60, 60, 10] },
+        daily: { time: ['2026-03-07', '2026-03-08'], cloud_cover_mean: [30, 40], precipitation_probability_max: [10, 20] }
+      };
+      const days = parseForecast(data, cloudSamplePoints(39.7, -105, 0, [0]), new Date(Date.UTC(2026, 2, 8, 0, 55)));
+      expect(days.map(d => d.cloudCover)).toEqual([10, 10]);
+    });
+
+    it('splits clouds by layer at each point toward the sun', () => {
+      const path = cloudSamplePoints(45, -122, 270, [0, 100, 200]);
+      const days = parseForecast(
+        [forecast({ high: 40 }), forecast({ mid: 70 }), forecast({ low: 90 })],
+        path,
+        sunset
+      );
+      expect(days).toHaveLength(2);
+      expect(days[0].cloudPath.map(p => [p.distance, p.low, p.mid, p.high])).toEqual([
+        [0, 0, 0, 40],
+        [100, 0, 70, 0],
+        [200, 90, 0, 0]
+      ]);
+    });
+
+    it('feeds humidity and aerosol into the colour prediction', () => {
+      const airQuality = { hourly: { time: ['2026-06-01T20:00'], aerosol_optical_depth: [1.1] } };
+      const path = cloudSamplePoints(45, -122, 0, [0]);
+      const [hazy] = parseForecast(forecast(), path, sunset, airQuality);
+      const [clean] = parseForecast(forecast(), path, sunset);
+      expect(hazy.aerosol).toBe(1.1);
+      expect(clean.aerosol).toBeNull();
+      expect(hazy.quality.probability).toBeLessThan(clean.quality.probability);
+      expect(hazy.quality.factors.map(f => f.key)).toContain('aerosol');
+    });
+
+    it('throws without daily data', () => {
+      expect(() => parseForecast({}, [], sunset)).toThrow('Weather data unavailable');
+    });
+  });
+
+  describe('renderCloudSection', () => {
+    it('shades one cell per layer and sample', () => {
+      const svg = renderCloudSection([
+        { distance: 0, low: 0, mid: 50, high: 100 },
+        { distance: 100, low: 20, mid: 0, high: 0 }
+      ]);
+      expect(svg.match(/<rect/g)).toHaveLength(6);
+      expect(svg).toContain('fill-opacity="0.5"');
+      expect(svg).toContain('100 km');
+    });
+
+    it('renders nothing without samples', () => {
+      expect(renderCloudSection([])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { createWorkerPool } from '../src/worker-pool.js';
+
+/** In-process stand-in for a worker: doubles each number of a task, reporting progress per item. */
+function fakeWorkerFactory(log) {
+  return () => {
+    let context = null;
+    const worker = {
+      terminated: false,
+      postMessage(msg) {
+        log.push(msg.type);
+        setTimeout(() => {
+          if (msg.type === 'context') context = msg.context;
+          if (msg.type !== 'task') return;
+          if (msg.task.includes('boom')) {
+            worker.onerror({ message: 'boom' });
+            return;
+          }
+          msg.task.forEach((_, i) => worker.onmessage({ data: { type: 'progress', completed: i + 1 } }));
+          worker.onmessage({ data: { type: 'result', data: msg.task.map(n => n * context.factor) } });
+        }, 0);
+      },
+      terminate() {
+        worker.terminated = true;
+      }
+    };
+    return worker;
+  };
+}
+
+describe('worker-pool', () => {
+  describe('createWorkerPool', () => {
+    it('returns task results in task order', async () => {
+      const pool = createWorkerPool(fakeWorkerFactory([]), 2);
+      const results = await pool.run([[1, 2], [3], [4, 5, 6]], { factor: 2 });
+      expect(results).toEqual([[2, 4], [6], [8, 10, 12]]);
+    });
+
+    it('merges progress from every task into one count', async () => {
+      const pool = createWorkerPool(fakeWorkerFactory([]), 2);
+      const counts = [];
+      await pool.run([[1, 2], [3], [4, 5, 6]], { factor: 1 }, completed => counts.push(completed));
+      expect(counts[counts.length - 1]).toBe(6);
+      expect([...counts].sort((a, b) => a - b)).toEqual(counts);
+    });
+
+    it('reuses its workers across runs and sends each run context once per worker', async () => {
+      const log = [];
+      let created = 0;
+      const factory = fakeWorkerFactory(log);
+      const pool = createWorkerPool(() => {
+        created++;
+        return factory();
+      }, 2);
+
+      await pool.run([[1], [2], [3], [4]], { factor: 1 });
+      expect(await pool.run([[5]], { factor: 3 })).toEqual([[15]]);
+      expect(created).toBe(2);
+      expect(log.filter(type => type === 'context').length).toBe(3);
+    });
+
+    it('rejects the run when a worker fails and recovers afterwards', async () => {
+      const pool = createWorkerPool(fakeWorkerFactory([]), 2);
+      await expect(pool.run([[1], ['boom']], { factor: 1 })).rejects.toThrow('boom');
+      expect(await pool.run([[1]], { factor: 4 })).toEqual([[4]]);
+    });
+
+    it('rejects a cancelled run and stops its busy workers', async () => {
+      const workers = [];
+      const factory = fakeWorkerFactory([]);
+      const pool = createWorkerPool(() => {
+        const worker = factory();
+        workers.push(worker);
+        return worker;
+      }, 2);
+
+      const controller = new AbortController();
+      const run = pool.run([[1], [2], [3]], { factor: 1 }, null, controller.signal);
+      controller.abort();
+      await expect(run).rejects.toThrow(/abort/i);
+      expect(workers.every(w => w.terminated)).toBe(true);
+      expect(await pool.run([[2]], { factor: 5 })).toEqual([[10]]);
+    });
+
+    it('sends a transferred context to one worker, which runs every task', async () => {
+      const log = [];
+      const transfers = [];
+      const factory = fakeWorkerFactory(log);
+      const pool = createWorkerPool(() => {
+        const worker = factory();
+        const post = worker.postMessage;
+        worker.postMessage = (msg, transfer) => {
+          if (msg.type === 'context') transfers.push(transfer);
+          post(msg);
+        };
+        return worker;
+      }, 3);
+
+      const context = { factor: 2 };
+      const [transferred, copied] = await Promise.all([
+        pool.run([[1], [2], [3], [4]], context, null, null, [context]),
+        pool.run([[5], [6]], { factor: 1 })
+      ]);
+      expect(transferred).toEqual([[2], [4], [6], [8]]);
+      expect(copied).toEqual([[5], [6]]);
+      expect(transfers.filter(t => t.includes(context))).toHaveLength(1);
+    });
+
+    it('resolves an empty run immediately', async () => {
+      const pool = createWorkerPool(fakeWorkerFactory([]), 2);
+      expect(await pool.run([], {})).toEqual([]);
+    });
+  });
+});